@@ -138,9 +138,21 @@ var Engine = function() {
     // almost unnique position identifier
     hashKey = 0;
     
+    // upper half of the 64-bit key, only checked by the hash table
+    var hashLock = 0;
+    
     // squares occupied by kings
     var kingSquare = [0, 0];
     
+    // squares occupied by each side's pieces
+    var pieceList = [[], []];
+    
+    // index of the piece on square in its side's piece list
+    var pieceIndex = new Array(11 * 14).fill(0);
+    
+    // material & positional score from red's point of view
+    var evalScore = 0;
+    
     // move stack
     var moveStack = [];
     
@@ -172,7 +184,10 @@ var Engine = function() {
       side = RED;
       sixty = 0;
       hashKey = 0;
+      hashLock = 0;
       kingSquare = [0, 0];
+      pieceList = [[], []];
+      evalScore = 0;
       moveStack = [];
       
       // reset plies
@@ -183,6 +198,68 @@ var Engine = function() {
       for (let index in repetitionTable) repetitionTable[index] = 0;
     }
     
+    // copy game state into a plain serialisable object
+    function snapshot() {
+      let pieces = '';
+      
+      // 90 hex digits, one per board square
+      for (let square = 0; square < board.length; square++)
+        if (board[square] != OFFBOARD) pieces += board[square].toString(16);
+      
+      return {
+        board: pieces,
+        side: side,
+        sixty: sixty,
+        hashKey: hashKey,
+        kingSquare: [kingSquare[RED], kingSquare[BLACK]],
+        moveStack: moveStack.map(function(entry) { return Object.assign({}, entry); }),
+        repetitionTable: repetitionTable.slice(0, gamePly + 1),
+        start: [startFullMove, startSide]
+      };
+    }
+    
+    // restore game state from snapshot
+    function restore(state) {
+      if (typeof(state.board) != 'string' || state.board.length != 90)
+        throw new Error('Invalid snapshot: board must have 90 squares');
+      
+      resetBoard();
+      
+      let index = 0;
+      
+      for (let square = 0; square < board.length; square++)
+        if (board[square] != OFFBOARD) board[square] = parseInt(state.board[index++], 16);
+      
+      side = state.side;
+      sixty = state.sixty;
+      hashKey = state.hashKey;
+      hashLock = generateHashKey(pieceLocks, sideLock);
+      kingSquare = [state.kingSquare[RED], state.kingSquare[BLACK]];
+      moveStack = state.moveStack.map(function(entry) { return Object.assign({}, entry); });
+      gamePly = state.repetitionTable.length - 1;
+      startFullMove = state.start[0];
+      startSide = state.start[1];
+      
+      for (let ply = 0; ply < state.repetitionTable.length; ply++)
+        repetitionTable[ply] = state.repetitionTable[ply];
+      
+      initPieceLists();
+    }
+    
+    // collect pieces & score from board, makeMove() and takeBack() keep them updated
+    function initPieceLists() {
+      pieceList = [[], []];
+      evalScore = 0;
+      
+      for (let square = 0; square < board.length; square++) {
+        let piece = board[square];
+        if (!piece || piece == OFFBOARD) continue;
+        
+        pieceIndex[square] = pieceList[PIECE_COLOR[piece]].push(square) - 1;
+        evalScore += PIECE_SCORES[piece * board.length + square];
+      }
+    }
+    
     /****************************\
      ============================
    
@@ -220,26 +297,33 @@ var Engine = function() {
     var pieceKeys = new Array(15 * 154);
     var sideKey;
     
+    // random keys of the upper key half
+    var pieceLocks = new Array(15 * 154);
+    var sideLock;
+    
     // init random hash keys
     function initRandomKeys() {
       for (var index = 0; index < pieceKeys.length; index++) pieceKeys[index] = random();
       sideKey = random();
+      
+      for (var index = 0; index < pieceLocks.length; index++) pieceLocks[index] = random();
+      sideLock = random();
     }
     
-    // generate hash key
-    function generateHashKey() {
+    // generate hash key from given piece and side keys
+    function generateHashKey(keys, turnKey) {
       var finalKey = 0;
       
       // hash board position
       for (var square = 0; square < board.length; square++) {
         if (board[square] != OFFBOARD) {
           let piece = board[square];
-          if (piece != EMPTY) finalKey ^= pieceKeys[(piece * board.length) + square];
+          if (piece != EMPTY) finalKey ^= keys[(piece * board.length) + square];
         }
       }
       
       // hash board state variables
-      if (side == RED) finalKey ^= sideKey;
+      if (side == RED) finalKey ^= turnKey;
       
       return finalKey;
     }
@@ -258,7 +342,7 @@ var Engine = function() {
       'P': RED_PAWN,
       'A': RED_ADVISOR,
       'B': RED_BISHOP, 'E': RED_BISHOP,
-      'N': RED_KNIGHT, 'H': RED_BISHOP,
+      'N': RED_KNIGHT, 'H': RED_KNIGHT,
       'C': RED_CANNON,
       'R': RED_ROOK,
       'K': RED_KING,
@@ -274,50 +358,220 @@ var Engine = function() {
     // ascii character piece representation
     const PIECE_TO_CHAR = ['.', 'P', 'A', 'B', 'N', 'C', 'R', 'K', 'p', 'a', 'b', 'n', 'c', 'r', 'k'];
     
-    // set board position from FEN string
-    function setBoard(fen) {
-      resetBoard();
-      var index = 0;
+    // FEN piece letters by dialect (WXF uses Horse / Elephant as well)
+    const FEN_PIECES = {
+      nb: ['.', 'P', 'A', 'B', 'N', 'C', 'R', 'K', 'p', 'a', 'b', 'n', 'c', 'r', 'k'],
+      he: ['.', 'P', 'A', 'E', 'H', 'C', 'R', 'K', 'p', 'a', 'e', 'h', 'c', 'r', 'k'],
+      wxf: ['.', 'P', 'A', 'E', 'H', 'C', 'R', 'K', 'p', 'a', 'e', 'h', 'c', 'r', 'k']
+    };
+    
+    // piece names for FEN errors
+    const PIECE_NAMES = [
+      '', 'red pawn', 'red advisor', 'red bishop', 'red knight', 'red cannon', 'red rook', 'red king',
+      'black pawn', 'black advisor', 'black bishop', 'black knight', 'black cannon', 'black rook', 'black king'
+    ];
+    
+    // max number of pieces per side
+    const PIECE_LIMITS = [0, 5, 2, 2, 2, 2, 2, 1, 5, 2, 2, 2, 2, 2, 1];
+    
+    // fullmove number and side to move of the FEN the game started from
+    var startFullMove = 1;
+    var startSide = RED;
+    
+    // FEN error
+    function fenError(message) {
+      return new Error('Invalid FEN: ' + message);
+    }
+    
+    // parse FEN string into { board, side, sixty, fullMove }
+    function parseFen(fen) {
+      if (typeof(fen) != 'string' || fen.trim() == '') throw fenError('empty string');
       
-      // parse position
-      for (let rank = 0; rank < 14; rank++) {
-        for (let file = 0; file < 11; file++) {
-          let square = rank * 11 + file;
+      let fields = fen.trim().split(/\s+/);
+      let ranks = fields[0].split('/');
+      let position = { board: new Array(11 * 14), side: RED, sixty: 0, fullMove: 1 };
+      
+      if (ranks.length != 10) throw fenError('expected 10 ranks, found ' + ranks.length);
+      
+      for (let square = 0; square < position.board.length; square++)
+        position.board[square] = (COORDINATES[square] == 'xx') ? OFFBOARD : EMPTY;
+      
+      // parse pieces, FEN starts from rank 9
+      for (let rank = 0; rank < 10; rank++) {
+        let file = 0;
+        
+        for (let index = 0; index < ranks[rank].length; index++) {
+          let char = ranks[rank][index];
           
-          if (board[square] != OFFBOARD) {
-            // parse pieces
-            if ((fen[index].charCodeAt() >= 'a'.charCodeAt() &&
-                 fen[index].charCodeAt() <= 'z'.charCodeAt()) || 
-                (fen[index].charCodeAt() >= 'A'.charCodeAt() &&
-                 fen[index].charCodeAt() <= 'Z'.charCodeAt())) {
-              if (fen[index] == 'K') kingSquare[RED] = square;
-              else if (fen[index] == 'k') kingSquare[BLACK] = square;
-              board[square] = CHAR_TO_PIECE[fen[index]];
-              index++;
-            }
-            
-            // parse empty squares
-            if (fen[index].charCodeAt() >= '0'.charCodeAt() &&
-                fen[index].charCodeAt() <= '9'.charCodeAt()) {
-              var offset = fen[index] - '0';
-              if (board[square] == EMPTY) file--;
-              file += offset;
-              index++;
-            }
-            if (fen[index] == '/') index++;
+          if (char >= '1' && char <= '9') {
+            file += parseInt(char);
+            continue;
           }
+          
+          if (CHAR_TO_PIECE[char] == undefined)
+            throw fenError('unknown piece \'' + char + '\' on rank ' + (9 - rank));
+          
+          if (file > 8) throw fenError('rank ' + (9 - rank) + ' has more than 9 files');
+          position.board[(rank + 2) * 11 + file + 1] = CHAR_TO_PIECE[char];
+          file++;
         }
+        
+        if (file != 9) throw fenError('rank ' + (9 - rank) + ' has ' + file + ' files instead of 9');
       }
       
       // parse side to move
-      index++;
-      side = (fen[index] == 'b') ? BLACK : RED;
+      if (fields.length > 1) {
+        if (fields[1] == 'b') position.side = BLACK;
+        else if (fields[1] != 'w' && fields[1] != 'r')
+          throw fenError('side to move must be \'w\' or \'b\', found \'' + fields[1] + '\'');
+      }
+      
+      // parse halfmove clock and fullmove number
+      if (fields.length > 4) {
+        if (/^\d+$/.test(fields[4]) == 0) throw fenError('bad halfmove clock \'' + fields[4] + '\'');
+        position.sixty = parseInt(fields[4]);
+      }
+      
+      if (fields.length > 5) {
+        if (/^\d+$/.test(fields[5]) == 0 || parseInt(fields[5]) < 1)
+          throw fenError('bad fullmove number \'' + fields[5] + '\'');
+        position.fullMove = parseInt(fields[5]);
+      }
+      
+      return position;
+    }
+    
+    // check parsed position for illegal setups, returns error message or ''
+    function validatePosition(position) {
+      let counts = new Array(15).fill(0);
+      let kings = [0, 0];
+      
+      for (let square = 0; square < position.board.length; square++) {
+        let piece = position.board[square];
+        if (piece == EMPTY || piece == OFFBOARD) continue;
+        
+        let color = PIECE_COLOR[piece];
+        let file = square % 11 - 1;
+        let rank = 11 - Math.floor(square / 11);
+        let ownRank = (color == RED) ? rank : 9 - rank;
+        let name = PIECE_NAMES[piece] + ' on ' + COORDINATES[square];
+        
+        counts[piece]++;
+        
+        switch (PIECE_TYPE[piece]) {
+          case KING:
+            kings[color] = square;
+            if (BOARD_ZONES[color][square] != 2) return name + ' is outside the palace';
+            break;
+          
+          case ADVISOR:
+            if (BOARD_ZONES[color][square] != 2) return name + ' is outside the palace';
+            if ((file + ownRank) % 2 == 0) return name + ' is off the palace diagonals';
+            break;
+          
+          case BISHOP:
+            if (BOARD_ZONES[color][square] == 0) return name + ' has crossed the river';
+            if (file % 2 || ownRank % 2 || (file / 2 + ownRank / 2) % 2 == 0)
+              return name + ' is not on a bishop point';
+            break;
+          
+          case PAWN:
+            if (ownRank < 3) return name + ' is behind its starting rank';
+            if (ownRank < 5 && file % 2) return name + ' is on a file pawns can\'t reach before crossing the river';
+            break;
+        }
+      }
+      
+      for (let piece = RED_PAWN; piece <= BLACK_KING; piece++)
+        if (counts[piece] > PIECE_LIMITS[piece])
+          return 'too many ' + PIECE_NAMES[piece] + 's (' + counts[piece] + ')';
+      
+      if (counts[RED_KING] == 0) return 'red king is missing';
+      if (counts[BLACK_KING] == 0) return 'black king is missing';
+      
+      // flying general
+      if (kings[RED] % 11 == kings[BLACK] % 11) {
+        let facing = 1;
+        
+        for (let square = kings[BLACK] + 11; square < kings[RED]; square += 11)
+          if (position.board[square] != EMPTY) facing = 0;
+        
+        if (facing) return 'kings are facing each other';
+      }
       
-      // parse sixty move rule
-      sixty = parseInt(fen.split(' ')[fen.split(' ').length - 2]);
+      // side not to move can't be in check
+      let currentBoard = board;
+      board = position.board;
+      let inCheck = isSquareAttacked(kings[position.side ^ 1], position.side);
+      board = currentBoard;
+      
+      if (inCheck)
+        return ((position.side == RED) ? 'black' : 'red') + ' king is in check with ' +
+               ((position.side == RED) ? 'red' : 'black') + ' to move';
+      
+      return '';
+    }
+    
+    // validate FEN string, returns error message or ''
+    function validateFen(fen) {
+      try { return validatePosition(parseFen(fen)); }
+      catch(e) { return e.message.replace('Invalid FEN: ', ''); }
+    }
+    
+    // set board position from FEN string
+    function setBoard(fen) {
+      let position = parseFen(fen);
+      let error = validatePosition(position);
+      if (error) throw fenError(error);
+      
+      resetBoard();
+      
+      for (let square = 0; square < board.length; square++) {
+        board[square] = position.board[square];
+        if (board[square] == RED_KING) kingSquare[RED] = square;
+        if (board[square] == BLACK_KING) kingSquare[BLACK] = square;
+      }
+      
+      side = position.side;
+      sixty = position.sixty;
+      startSide = position.side;
+      startFullMove = position.fullMove;
+      initPieceLists();
       
       // generate hash key
-      hashKey = generateHashKey();
+      hashKey = generateHashKey(pieceKeys, sideKey);
+      hashLock = generateHashKey(pieceLocks, sideLock);
+    }
+    
+    // generate FEN string of current position ('nb', 'he' or 'wxf' piece letters)
+    function generateFen(dialect) {
+      let pieces = FEN_PIECES[dialect || 'nb'];
+      if (pieces == undefined) throw new Error('Unknown FEN dialect: ' + dialect);
+      
+      let fen = '';
+      
+      for (let rank = 2; rank < 12; rank++) {
+        let empty = 0;
+        
+        for (let file = 1; file < 10; file++) {
+          let piece = board[rank * 11 + file];
+          
+          if (piece == EMPTY) empty++;
+          else {
+            fen += (empty ? empty : '') + pieces[piece];
+            empty = 0;
+          }
+        }
+        
+        if (empty) fen += empty;
+        if (rank < 11) fen += '/';
+      }
+      
+      // fullmove number grows after black moves
+      let fullMove = startFullMove + Math.floor((moveStack.length + startSide) / 2);
+      
+      fen += ' ' + ((side == RED) ? 'w' : 'b') + ' - - ' + sixty + ' ' + fullMove;
+      return fen;
     }
     
     // print board to console
@@ -342,7 +596,7 @@ var Engine = function() {
       boardString += '   a b c d e f g h i\n\n'
       boardString += '   side:           ' + ((side == RED) ? 'r' : 'b') + '\n';
       boardString += '   sixty:          ' + sixty + '\n';
-      boardString += '   hash key:      ' + hashKey + '\n';
+      boardString += '   hash key:      ' + hashKey + ' ' + hashLock + '\n';
       boardString += '   king squares:  [' + COORDINATES[kingSquare[RED]] + ', ' +
                                              COORDINATES[kingSquare[BLACK]] + ']\n'
       console.log(boardString);
@@ -376,36 +630,8 @@ var Engine = function() {
       moves = moves.split(' ');
       
       for (let index = 0; index < moves.length; index++) {
-        let move = moves[index];
-        let moveString = moves[index];
-        let validMove = moveFromString(move);
-
-        if (validMove) {
-          makeMove(validMove);
-
-          if (typeof(document) != 'undefined') {
-            try {
-              let pv = ''
-              let time = 0;
-              let score = 0;
-              let depth = 0;
-              
-              if (userTime) {
-                time = Date.now() - userTime;
-              } else {
-                score = guiScore;
-                depth = guiDepth;
-                time = guiTime;
-                pv = guiPv;
-              }
-              
-              moveStack[moveStack.length - 1].score = score;
-              moveStack[moveStack.length - 1].depth = depth;
-              moveStack[moveStack.length - 1].time = time;
-              moveStack[moveStack.length - 1].pv = pv;
-            } catch(e) {}
-          }
-        }
+        let validMove = moveFromString(moves[index]);
+        if (validMove) makeMove(validMove);
       }
       
       searchPly = 0;
@@ -536,6 +762,75 @@ var Engine = function() {
       
       return 0;
     }
+
+    /*
+        Same scan as isSquareAttacked() but for any square, not just
+        the king's: collects every attacker, adds the defending pieces
+        (king, advisors & bishops at home), stops the king at one step
+        and pawns attack sideways only once across the river.
+    */
+
+    // squares of the given side's pieces attacking (or defending) the square
+    function attackersOf(square, color) {
+      let attackers = [];
+      let pieceOffset = color * 7;
+
+      if (board[square] == OFFBOARD) return attackers;
+
+      // by knights, unless a piece blocks the knight's leg
+      for (let direction = 0; direction < DIAGONALS.length; direction++) {
+        if (board[square + DIAGONALS[direction]] != EMPTY) continue;
+
+        for (let offset = 0; offset < 2; offset++) {
+          let knightSquare = square + KNIGHT_ATTACK_OFFSETS[direction][offset];
+          if (board[knightSquare] == RED_KNIGHT + pieceOffset) attackers.push(knightSquare);
+        }
+      }
+
+      // by rooks & the king next to the square, by cannons over a screen
+      for (let direction = 0; direction < ORTHOGONALS.length; direction++) {
+        let directionTarget = square + ORTHOGONALS[direction];
+        let jumpOver = 0;
+
+        while (board[directionTarget] != OFFBOARD && jumpOver < 2) {
+          let piece = board[directionTarget];
+
+          if (piece != EMPTY) {
+            if (jumpOver == 0) {
+              if (piece == RED_ROOK + pieceOffset) attackers.push(directionTarget);
+              if (piece == RED_KING + pieceOffset && directionTarget == square + ORTHOGONALS[direction] &&
+                  BOARD_ZONES[color][square] == 2) attackers.push(directionTarget);
+            } else if (piece == RED_CANNON + pieceOffset) attackers.push(directionTarget);
+
+            jumpOver++;
+          }
+
+          directionTarget += ORTHOGONALS[direction];
+        }
+      }
+
+      // by advisors inside the palace, by bishops on their side of the river
+      for (let direction = 0; direction < DIAGONALS.length; direction++) {
+        let advisorSquare = square + DIAGONALS[direction];
+        let bishopSquare = square + BISHOP_MOVE_OFFSETS[direction];
+
+        if (BOARD_ZONES[color][square] == 2 && board[advisorSquare] == RED_ADVISOR + pieceOffset)
+          attackers.push(advisorSquare);
+
+        if (BOARD_ZONES[color][square] && board[advisorSquare] == EMPTY &&
+            board[bishopSquare] == RED_BISHOP + pieceOffset) attackers.push(bishopSquare);
+      }
+
+      // by pawns from behind, from the sides once across the river
+      for (let direction = 0; direction < PAWN_ATTACK_OFFSETS[color].length; direction++) {
+        let pawnSquare = square + PAWN_ATTACK_OFFSETS[color][direction];
+
+        if (board[pawnSquare] == RED_PAWN + pieceOffset &&
+           (direction == 0 || BOARD_ZONES[color][pawnSquare] == 0)) attackers.push(pawnSquare);
+      }
+
+      return attackers;
+    }
     
     
     /****************************\
@@ -641,92 +936,88 @@ var Engine = function() {
     // generate pseudo legal moves
     function generateMoves(onlyCaptures) {
       let moveList = [];
+      let pieces = pieceList[side];
       
-      for (let sourceSquare = 0; sourceSquare < board.length; sourceSquare++) {
-        if (board[sourceSquare] != OFFBOARD) {
-          let piece = board[sourceSquare];
-          let pieceType = PIECE_TYPE[piece];
-          let pieceColor = PIECE_COLOR[piece];
-          
-          if (pieceColor == side) {
-            // pawns
-            if (pieceType == PAWN) {
-              for (let direction = 0; direction < PAWN_MOVE_OFFSETS[side].length; direction++) {
-                let targetSquare = sourceSquare + PAWN_MOVE_OFFSETS[side][direction];
-                let targetPiece = board[targetSquare];
-                
-                if (targetPiece != OFFBOARD) pushMove(moveList, sourceSquare, targetSquare, board[sourceSquare], targetPiece, onlyCaptures);
-                if (BOARD_ZONES[side][sourceSquare]) break; 
-              }
-            }
+      for (let index = 0; index < pieces.length; index++) {
+        let sourceSquare = pieces[index];
+        let pieceType = PIECE_TYPE[board[sourceSquare]];
+        
+        // pawns
+        if (pieceType == PAWN) {
+          for (let direction = 0; direction < PAWN_MOVE_OFFSETS[side].length; direction++) {
+            let targetSquare = sourceSquare + PAWN_MOVE_OFFSETS[side][direction];
+            let targetPiece = board[targetSquare];
             
-            // kings & advisors
-            if (pieceType == KING || pieceType == ADVISOR) {
-              for (let direction = 0; direction < ORTHOGONALS.length; direction++) {
-                let offsets = (pieceType == KING) ? ORTHOGONALS : DIAGONALS;
-                let targetSquare = sourceSquare + offsets[direction];
-                let targetPiece = board[targetSquare];
-                
-                if (BOARD_ZONES[side][targetSquare] == 2) pushMove(moveList, sourceSquare, targetSquare, board[sourceSquare], targetPiece, onlyCaptures);
-              }
-            }
+            if (targetPiece != OFFBOARD) pushMove(moveList, sourceSquare, targetSquare, board[sourceSquare], targetPiece, onlyCaptures);
+            if (BOARD_ZONES[side][sourceSquare]) break; 
+          }
+        }
+        
+        // kings & advisors
+        if (pieceType == KING || pieceType == ADVISOR) {
+          for (let direction = 0; direction < ORTHOGONALS.length; direction++) {
+            let offsets = (pieceType == KING) ? ORTHOGONALS : DIAGONALS;
+            let targetSquare = sourceSquare + offsets[direction];
+            let targetPiece = board[targetSquare];
+            
+            if (BOARD_ZONES[side][targetSquare] == 2) pushMove(moveList, sourceSquare, targetSquare, board[sourceSquare], targetPiece, onlyCaptures);
+          }
+        }
+        
+        // bishops
+        if (pieceType == BISHOP) {
+          for (let direction = 0; direction < BISHOP_MOVE_OFFSETS.length; direction++) {
+            let targetSquare = sourceSquare + BISHOP_MOVE_OFFSETS[direction];
+            let jumpOver = sourceSquare + DIAGONALS[direction];
+            let targetPiece = board[targetSquare];
             
-            // bishops
-            if (pieceType == BISHOP) {
-              for (let direction = 0; direction < BISHOP_MOVE_OFFSETS.length; direction++) {
-                let targetSquare = sourceSquare + BISHOP_MOVE_OFFSETS[direction];
-                let jumpOver = sourceSquare + DIAGONALS[direction];
+            if (BOARD_ZONES[side][targetSquare] && board[jumpOver] == EMPTY) pushMove(moveList, sourceSquare, targetSquare, board[sourceSquare], targetPiece, onlyCaptures);
+          }
+        }
+        
+        // knights
+        if (pieceType == KNIGHT) {
+          for (let direction = 0; direction < ORTHOGONALS.length; direction++) {
+            let targetDirection = sourceSquare + ORTHOGONALS[direction];
+      
+            if (board[targetDirection] == EMPTY) {
+              for (let offset = 0; offset < 2; offset++) {
+                let targetSquare = sourceSquare + KNIGHT_MOVE_OFFSETS[direction][offset];
                 let targetPiece = board[targetSquare];
                 
-                if (BOARD_ZONES[side][targetSquare] && board[jumpOver] == EMPTY) pushMove(moveList, sourceSquare, targetSquare, board[sourceSquare], targetPiece, onlyCaptures);
-              }
-            }
-            
-            // knights
-            if (pieceType == KNIGHT) {
-              for (let direction = 0; direction < ORTHOGONALS.length; direction++) {
-                let targetDirection = sourceSquare + ORTHOGONALS[direction];
-          
-                if (board[targetDirection] == EMPTY) {
-                  for (let offset = 0; offset < 2; offset++) {
-                    let targetSquare = sourceSquare + KNIGHT_MOVE_OFFSETS[direction][offset];
-                    let targetPiece = board[targetSquare];
-                    
-                    if (targetPiece != OFFBOARD) pushMove(moveList, sourceSquare, targetSquare, board[sourceSquare], targetPiece, onlyCaptures);
-                  }
-                }
+                if (targetPiece != OFFBOARD) pushMove(moveList, sourceSquare, targetSquare, board[sourceSquare], targetPiece, onlyCaptures);
               }
             }
+          }
+        }
+        
+        // rooks & cannons
+        if (pieceType == ROOK || pieceType == CANNON) {
+          for (let direction = 0; direction < ORTHOGONALS.length; direction++) {
+            let targetSquare = sourceSquare + ORTHOGONALS[direction];
+            let jumpOver = 0;
             
-            // rooks & cannons
-            if (pieceType == ROOK || pieceType == CANNON) {
-              for (let direction = 0; direction < ORTHOGONALS.length; direction++) {
-                let targetSquare = sourceSquare + ORTHOGONALS[direction];
-                let jumpOver = 0;
+            while (board[targetSquare] != OFFBOARD) {
+              let targetPiece = board[targetSquare];
+              
+              if (jumpOver == 0) {
+                // all rook moves
+                if (pieceType == ROOK && PIECE_COLOR[targetPiece] == side ^ 1)
+                  pushMove(moveList, sourceSquare, targetSquare, board[sourceSquare], targetPiece, onlyCaptures);
                 
-                while (board[targetSquare] != OFFBOARD) {
-                  let targetPiece = board[targetSquare];
-                  
-                  if (jumpOver == 0) {
-                    // all rook moves
-                    if (pieceType == ROOK && PIECE_COLOR[targetPiece] == side ^ 1)
-                      pushMove(moveList, sourceSquare, targetSquare, board[sourceSquare], targetPiece, onlyCaptures);
-                    
-                    // quiet cannon moves
-                    else if (pieceType == CANNON && targetPiece == EMPTY)
-                      pushMove(moveList, sourceSquare, targetSquare, board[sourceSquare], targetPiece, onlyCaptures);
-                  }
-
-                  if (targetPiece) jumpOver++;
-                  if (targetPiece && pieceType == CANNON && PIECE_COLOR[targetPiece] == side ^ 1 && jumpOver == 2) {
-                    // capture cannon moves
-                    pushMove(moveList, sourceSquare, targetSquare, board[sourceSquare], targetPiece, onlyCaptures);
-                    break;
-                  }
-
-                  targetSquare += ORTHOGONALS[direction];
-                }
+                // quiet cannon moves
+                else if (pieceType == CANNON && targetPiece == EMPTY)
+                  pushMove(moveList, sourceSquare, targetSquare, board[sourceSquare], targetPiece, onlyCaptures);
+              }
+
+              if (targetPiece) jumpOver++;
+              if (targetPiece && pieceType == CANNON && PIECE_COLOR[targetPiece] == side ^ 1 && jumpOver == 2) {
+                // capture cannon moves
+                pushMove(moveList, sourceSquare, targetSquare, board[sourceSquare], targetPiece, onlyCaptures);
+                break;
               }
+
+              targetSquare += ORTHOGONALS[direction];
             }
           }
         }
@@ -758,6 +1049,16 @@ var Engine = function() {
      ============================              
     \****************************/
     
+    // remove piece on square from its side's list (last piece takes its place)
+    function removePiece(color, square) {
+      let lastSquare = pieceList[color].pop();
+      
+      if (lastSquare != square) {
+        pieceList[color][pieceIndex[square]] = lastSquare;
+        pieceIndex[lastSquare] = pieceIndex[square];
+      }
+    }
+    
     // make move
     function makeMove(move) {
       // update plies
@@ -771,6 +1072,7 @@ var Engine = function() {
       moveStack.push({
         move: move,
         hashKey: hashKey,
+        hashLock: hashLock,
         sixty: sixty
       });
       
@@ -780,18 +1082,31 @@ var Engine = function() {
       let sourcePiece = getSourcePiece(move);
       let targetPiece = getTargetPiece(move);
       let captureFlag = getCaptureFlag(move);
+      
+      // remove captured piece from the list
+      if (captureFlag) {
+        removePiece(side ^ 1, targetSquare);
+        evalScore -= PIECE_SCORES[targetPiece * board.length + targetSquare];
+      }
 
       // move piece
       board[targetSquare] = sourcePiece;
       board[sourceSquare] = EMPTY;
+      pieceList[side][pieceIndex[sourceSquare]] = targetSquare;
+      pieceIndex[targetSquare] = pieceIndex[sourceSquare];
+      evalScore += PIECE_SCORES[sourcePiece * board.length + targetSquare] -
+                   PIECE_SCORES[sourcePiece * board.length + sourceSquare];
       
       // hash piece
       hashKey ^= pieceKeys[sourcePiece * board.length + sourceSquare];
       hashKey ^= pieceKeys[sourcePiece * board.length + targetSquare];
+      hashLock ^= pieceLocks[sourcePiece * board.length + sourceSquare];
+      hashLock ^= pieceLocks[sourcePiece * board.length + targetSquare];
       
       if (captureFlag) {
         sixty = 0;
         hashKey ^= pieceKeys[targetPiece * board.length + targetSquare];
+        hashLock ^= pieceLocks[targetPiece * board.length + targetSquare];
       }
       else sixty++;
 
@@ -802,6 +1117,7 @@ var Engine = function() {
       // switch side to move
       side ^= 1;
       hashKey ^= sideKey;
+      hashLock ^= sideLock;
 
       // return illegal move if king is left in check 
       if (isSquareAttacked(kingSquare[side ^ 1], side)) {
@@ -827,10 +1143,16 @@ var Engine = function() {
       // move piece
       board[sourceSquare] = sourcePiece;
       board[targetSquare] = EMPTY;
+      pieceList[side ^ 1][pieceIndex[targetSquare]] = sourceSquare;
+      pieceIndex[sourceSquare] = pieceIndex[targetSquare];
+      evalScore += PIECE_SCORES[sourcePiece * board.length + sourceSquare] -
+                   PIECE_SCORES[sourcePiece * board.length + targetSquare];
       
       // restore captured piece
       if (getCaptureFlag(move)) {
         board[targetSquare] = targetPiece;
+        pieceIndex[targetSquare] = pieceList[side].push(targetSquare) - 1;
+        evalScore += PIECE_SCORES[targetPiece * board.length + targetSquare];
       }
       
       // update king square
@@ -842,6 +1164,7 @@ var Engine = function() {
            
       sixty = moveStack[moveIndex].sixty;
       hashKey = moveStack[moveIndex].hashKey;
+      hashLock = moveStack[moveIndex].hashLock;
       moveStack.pop();
     }
     
@@ -852,12 +1175,14 @@ var Engine = function() {
         move: 0,
         side: side,
         sixty: sixty,
-        hashKey: hashKey
+        hashKey: hashKey,
+        hashLock: hashLock
       });
       
       sixty = 0;
       side ^= 1;
       hashKey ^= sideKey;
+      hashLock ^= sideLock;
     }
     
     // take null move
@@ -866,82 +1191,612 @@ var Engine = function() {
       side = moveStack[moveStack.length - 1].side;
       sixty = moveStack[moveStack.length - 1].sixty;
       hashKey = moveStack[moveStack.length - 1].hashKey;
+      hashLock = moveStack[moveStack.length - 1].hashLock;
       moveStack.pop();
     }
     
     /****************************\
      ============================
    
-                 PERFT
+           REPETITION RULES
 
      ============================              
     \****************************/
     
     /*
-      rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1
-      depth       nodes    checks    captures
-          1          44         0           2
-          2        1920         6          72
-          3       79666       384        3159
-          4     3290240     19380      115365
-          5   133312995    953251     4917734  
-          6  5392831844
-
-
-      r1ba1a3/4kn3/2n1b4/pNp1p1p1p/4c4/6P2/P1P2R2P/1CcC5/9/2BAKAB2 w - - 0 1
-      depth       nodes    checks    captures
-          1          38         1           1
-          2        1128        12          10
-          3       43929      1190        2105
-          4     1339047     21299       31409
-          5    53112976   1496697     3262495
+        Asian rules (default):
+          - perpetual check loses
+          - perpetual chase loses, chase means a new attack
+            on an unprotected piece or on a rook by a knight
+            or a cannon, check and chase mixed counts as chase
+          - kings and pawns may chase, pawns which haven't
+            crossed the river can't be chased
+          - checking side loses against chasing side
+          - mutual check, mutual chase and idle moves draw
+        
+        Chinese rules:
+          - same as above, but chasing a protected piece
+            with a less valuable one is also forbidden
+        
+        Protected means defended by any piece (attackersOf),
+        advisors & bishops included, e.g. the rook chasing the
+        cannon on e8 covered by the advisor is a draw:
+        
+          3a1k2n/4c4/R8/9/9/9/9/9/9/3K5 w - - 0 1
+          a7a8 i9h7 a8a7 h7i9 a7a8 i9h7 a8a7 h7i9 a7a8
     */
     
-    // perft driver
-    function perftDriver(depth) {
-      if  (depth == 0) { nodes++; return; }
+    // repetition rules ('asian' or 'chinese')
+    var ruleset = 'asian';
+    
+    // set repetition rules
+    function setRuleset(rules) {
+      ruleset = (rules == 'chinese') ? 'chinese' : 'asian';
+    }
+    
+    // number of times current position occurred before
+    function countRepetitions() {
+      let count = 0;
       
-      let moveList = generateMoves(ALL_MOVES);
+      for (let index = 0; index < moveStack.length; index++)
+        if (moveStack[index].hashKey == hashKey) count++;
       
-      for (var count = 0; count < moveList.length; count++) {      
-        if (!makeMove(moveList[count].move)) continue;
-        perftDriver(depth - 1);      
-        takeBack();
-      }
+      return count;
     }
     
-    // perft test
-    function perftTest(depth) {
-      nodes = 0;
-      console.log('   Performance test:\n');
-      resultString = '';
-      let startTime = Date.now();
+    // squares of pieces capturable by the piece on square (side to move)
+    function captureTargets(square) {
+      let targets = [];
+      let moveList = generateMoves(ONLY_CAPTURES);
       
-      let moveList = generateMoves(ALL_MOVES);
+      for (let count = 0; count < moveList.length; count++)
+        if (getSourceSquare(moveList[count].move) == square)
+          targets.push(getTargetSquare(moveList[count].move));
       
-      for (var count = 0; count < moveList.length; count++) {
-        if (makeMove(moveList[count].move) == 0) continue;
-        let cumNodes = nodes;
-        perftDriver(depth - 1);
-        takeBack();
-        let oldNodes = nodes - cumNodes;
-        console.log(  '   move' +
-                      ' ' + (count + 1) + ((count < 9) ? ':  ': ': ') +
-                      COORDINATES[getSourceSquare(moveList[count].move)] +
-                      COORDINATES[getTargetSquare(moveList[count].move)] +
-                      '    nodes: ' + oldNodes);
+      return targets;
+    }
+    
+    // is the move just made a chase (targets attacked before the move are excluded)
+    function isChase(move, targetsBefore) {
+      let attacker = getSourcePiece(move);
+      if (PIECE_TYPE[attacker] == KING || PIECE_TYPE[attacker] == PAWN) return 0;
+      
+      side ^= 1;
+      let targets = captureTargets(getTargetSquare(move));
+      side ^= 1;
+      
+      for (let index = 0; index < targets.length; index++) {
+        let square = targets[index];
+        let victim = board[square];
+        
+        if (targetsBefore.indexOf(square) != -1) continue;
+        if (PIECE_TYPE[victim] == KING) continue;
+        if (PIECE_TYPE[victim] == PAWN && BOARD_ZONES[PIECE_COLOR[victim]][square]) continue;
+        
+        // unprotected piece
+        if (attackersOf(square, PIECE_COLOR[victim]).length == 0) return 1;
+        
+        // protected piece
+        if (ruleset == 'chinese') {
+          if (Math.abs(MATERIAL_WEIGHTS[victim]) > Math.abs(MATERIAL_WEIGHTS[attacker])) return 1;
+        } else if (PIECE_TYPE[victim] == ROOK &&
+                  (PIECE_TYPE[attacker] == KNIGHT || PIECE_TYPE[attacker] == CANNON)) return 1;
       }
       
-      resultString += '\n   Depth: ' + depth;
-      resultString += '\n   Nodes: ' + nodes;
-      resultString += '\n    Time: ' + (Date.now() - startTime) + ' ms\n';
-      console.log(resultString);
+      return 0;
     }
-
-
-    /****************************\
-     ============================
-   
+    
+    // classify repetition cycle ending at current position
+    function getRepetition() {
+      let start = -1;
+      
+      // latest occurrence of current position
+      for (let index = moveStack.length - 1; index >= 0; index--) {
+        if (moveStack[index].hashKey == hashKey) {
+          start = index;
+          break;
+        }
+      }
+      
+      if (start == -1) return null;
+      
+      let cycle = moveStack.slice(start);
+      let result = { loser: NO_COLOR, reason: 'repetition' };
+      
+      // cycles through null moves are not real repetitions
+      for (let index = 0; index < cycle.length; index++)
+        if (cycle[index].move == 0) return result;
+      
+      // every move of the side gives check / checks or chases
+      let checks = [1, 1];
+      let chases = [1, 1];
+      
+      for (let index = 0; index < cycle.length; index++) takeBack();
+      
+      for (let index = 0; index < cycle.length; index++) {
+        let move = cycle[index].move;
+        let color = side;
+        let targetsBefore = captureTargets(getSourceSquare(move));
+        
+        makeMove(move);
+        
+        if (isSquareAttacked(kingSquare[side], color) == 0) {
+          checks[color] = 0;
+          if (isChase(move, targetsBefore) == 0) chases[color] = 0;
+        }
+      }
+      
+      // keep original move stack entries (may carry extra data)
+      moveStack.splice(start, cycle.length, ...cycle);
+      
+      if (checks[RED] != checks[BLACK]) {
+        result.loser = checks[RED] ? RED : BLACK;
+        result.reason = 'perpetual check';
+      } else if (checks[RED] == 0 && chases[RED] != chases[BLACK]) {
+        result.loser = chases[RED] ? RED : BLACK;
+        result.reason = 'perpetual chase';
+      }
+      
+      return result;
+    }
+    
+    /****************************\
+     ============================
+   
+              GAME STATUS
+
+     ============================              
+    \****************************/
+    
+    // pieces able to give mate
+    const ATTACKING_TYPES = [PAWN, KNIGHT, CANNON, ROOK];
+    
+    // no side has attacking pieces left
+    function isDeadPosition() {
+      for (let color = RED; color <= BLACK; color++)
+        for (let index = 0; index < pieceList[color].length; index++)
+          if (ATTACKING_TYPES.indexOf(PIECE_TYPE[board[pieceList[color][index]]]) != -1) return 0;
+      
+      return 1;
+    }
+    
+    /*
+        Game status of the current position:
+        
+          { result: '1-0' | '0-1' | '1/2-1/2' | '*',
+            winner: RED | BLACK | NO_COLOR,
+            reason: 'ongoing', 'mate', 'stalemate',
+                    'perpetual check', 'perpetual chase',
+                    'repetition', 'sixty moves', 'dead position' }
+        
+        Stalemate loses in xiangqi, repetition is
+        judged by the current ruleset.
+    */
+    
+    // get game status
+    function getGameStatus() {
+      let winner = NO_COLOR;
+      let reason = 'ongoing';
+      
+      if (generateLegalMoves().length == 0) {
+        winner = side ^ 1;
+        reason = isSquareAttacked(kingSquare[side], side ^ 1) ? 'mate' : 'stalemate';
+      } else if (countRepetitions() >= 2) {
+        let repetition = getRepetition();
+        winner = (repetition.loser == NO_COLOR) ? NO_COLOR : repetition.loser ^ 1;
+        reason = repetition.reason;
+      } else if (sixty >= 120) reason = 'sixty moves';
+      else if (isDeadPosition()) reason = 'dead position';
+      
+      let result = '*';
+      if (winner != NO_COLOR) result = (winner == RED) ? '1-0' : '0-1';
+      else if (reason != 'ongoing') result = '1/2-1/2';
+      
+      return { result: result, winner: winner, reason: reason };
+    }
+    
+    /****************************\
+     ============================
+   
+                NOTATION
+
+     ============================              
+    \****************************/
+    
+    /*
+        WXF and Chinese notation name a move by the piece, its file
+        counted from the mover's right (1 - 9), the direction (+ forward,
+        - backward, = sideways) and the target: the file for sideways
+        moves & diagonal movers (advisors, bishops, knights), else the
+        number of ranks moved.
+        
+          C2=5   炮二平五    h2e2
+          H8+7   马８进７    h9g7
+        
+        Rooks, cannons, knights & pawns sharing a file are told apart
+        by their order from the front instead of the file: +R=4 (前车平四).
+        Three or more pawns count 前中后 / 前二三后 / 前二三四后, with
+        tandem pawns on two files the file stays instead of the piece
+        (+7+1, 前七进一).
+        
+        Formats of moveToNotation():
+        
+          'uci'          h2e2
+          'iccs'         H2-E2
+          'wxf'          C2=5
+          'fullwidth'    Ｃ２＝５
+          'simplified'   炮二平五
+          'traditional'  炮二平五, 俥一進一, 傌８進７
+        
+        moveFromNotation() reads any of them back and the other spellings
+        in use: C2.5, B/N for E/H, the order after the piece (R+=4, 车前平四),
+        一二三 counting tandem pieces from the front (二兵进一) and mixed
+        simplified / traditional characters. A move that doesn't name
+        exactly one legal move is 0.
+    */
+    
+    // WXF piece letters
+    const WXF_PIECES = ['', 'P', 'A', 'E', 'H', 'C', 'R', 'K', 'P', 'A', 'E', 'H', 'C', 'R', 'K'];
+    
+    // order of tandem pieces from the front by number of pieces on the file
+    const WXF_ORDINALS = [[], [], ['+', '-'], ['+', '=', '-'], ['+', '2', '3', '-'], ['+', '2', '3', '4', '-']];
+    
+    // Chinese piece names, ordinals & directions
+    const CHINESE_SCRIPTS = {
+      simplified: {
+        pieces: ['', '兵', '仕', '相', '马', '炮', '车', '帅', '卒', '士', '象', '马', '炮', '车', '将'],
+        ordinals: [[], [], ['前', '后'], ['前', '中', '后'], ['前', '二', '三', '后'], ['前', '二', '三', '四', '后']],
+        directions: { '+': '进', '-': '退', '=': '平' }
+      },
+      
+      traditional: {
+        pieces: ['', '兵', '仕', '相', '傌', '炮', '俥', '帥', '卒', '士', '象', '馬', '砲', '車', '將'],
+        ordinals: [[], [], ['前', '後'], ['前', '中', '後'], ['前', '二', '三', '後'], ['前', '二', '三', '四', '後']],
+        directions: { '+': '進', '-': '退', '=': '平' }
+      }
+    };
+    
+    // Chinese numbers of red & black
+    const CHINESE_NUMBERS = [
+      ['', '一', '二', '三', '四', '五', '六', '七', '八', '九'],
+      ['', '１', '２', '３', '４', '５', '６', '７', '８', '９']
+    ];
+    
+    // notation characters read as WXF
+    const NOTATION_ALIASES = {
+      '兵': 'P', '卒': 'P', '仕': 'A', '士': 'A', '相': 'E', '象': 'E', 'B': 'E',
+      '马': 'H', '馬': 'H', '傌': 'H', 'N': 'H', '炮': 'C', '砲': 'C', '包': 'C',
+      '车': 'R', '車': 'R', '俥': 'R', '帅': 'K', '帥': 'K', '将': 'K', '將': 'K',
+      '进': '+', '進': '+', '退': '-', '平': '=', '.': '=', '前': '+', '中': '=', '后': '-', '後': '-',
+      '一': '1', '二': '2', '三': '3', '四': '4', '五': '5', '六': '6', '七': '7', '八': '8', '九': '9'
+    };
+    
+    // rank 0 - 9 from red's side
+    function notationRank(square) { return 11 - Math.floor(square / 11); }
+    
+    // file 1 - 9 from the given side's right
+    function notationFile(square, color) {
+      let file = square % 11;
+      return (color == RED) ? 10 - file : file;
+    }
+    
+    // same pieces on the file of square, front first
+    function tandemPieces(square) {
+      let piece = board[square];
+      let color = PIECE_COLOR[piece];
+      let squares = [];
+      
+      for (let index = 0; index < pieceList[color].length; index++) {
+        let pieceSquare = pieceList[color][index];
+        if (board[pieceSquare] == piece && pieceSquare % 11 == square % 11) squares.push(pieceSquare);
+      }
+      
+      // red's front is the top of the board
+      return squares.sort(function(first, second) { return (color == RED) ? first - second : second - first; });
+    }
+    
+    // parts of the move's notation (position before the move)
+    function notationParts(move) {
+      let sourceSquare = getSourceSquare(move);
+      let targetSquare = getTargetSquare(move);
+      let piece = getSourcePiece(move);
+      let color = PIECE_COLOR[piece];
+      let type = PIECE_TYPE[piece];
+      let rankMoved = notationRank(targetSquare) - notationRank(sourceSquare);
+      let parts = {
+        piece: piece,
+        file: notationFile(sourceSquare, color),
+        order: -1,
+        tandem: 0,
+        pawnFiles: 0,
+        direction: (rankMoved == 0) ? '=' : (((rankMoved > 0) == (color == RED)) ? '+' : '-'),
+        target: 0
+      };
+      
+      // diagonal movers & sideways moves name the target file
+      if (parts.direction == '=' || type == ADVISOR || type == BISHOP || type == KNIGHT)
+        parts.target = notationFile(targetSquare, color);
+      else parts.target = Math.abs(rankMoved);
+      
+      // advisors & bishops are told apart by the direction
+      if (type == ADVISOR || type == BISHOP || type == KING) return parts;
+      
+      let tandem = tandemPieces(sourceSquare);
+      if (tandem.length < 2) return parts;
+      
+      parts.order = tandem.indexOf(sourceSquare);
+      parts.tandem = tandem.length;
+      
+      // pawns in tandem on another file too keep the file
+      if (type == PAWN) {
+        for (let index = 0; index < pieceList[color].length; index++) {
+          let square = pieceList[color][index];
+          
+          if (board[square] == piece && square % 11 != sourceSquare % 11 &&
+              tandemPieces(square).length > 1) parts.pawnFiles = 1;
+        }
+      }
+      
+      return parts;
+    }
+    
+    // move in WXF notation, e.g. 'C2=5'
+    function moveToWxf(move) {
+      let parts = notationParts(move);
+      let head = WXF_PIECES[parts.piece] + parts.file;
+      
+      if (parts.tandem)
+        head = WXF_ORDINALS[parts.tandem][parts.order] + (parts.pawnFiles ? parts.file : WXF_PIECES[parts.piece]);
+      
+      return head + parts.direction + parts.target;
+    }
+    
+    // move in Chinese notation, e.g. '炮二平五', script is 'simplified' (default) or 'traditional'
+    function moveToChinese(move, script) {
+      let parts = notationParts(move);
+      let names = CHINESE_SCRIPTS[script || 'simplified'];
+      let numbers = CHINESE_NUMBERS[PIECE_COLOR[parts.piece]];
+      let head = names.pieces[parts.piece] + numbers[parts.file];
+      
+      if (parts.tandem)
+        head = names.ordinals[parts.tandem][parts.order] +
+               (parts.pawnFiles ? numbers[parts.file] : names.pieces[parts.piece]);
+      
+      return head + names.directions[parts.direction] + numbers[parts.target];
+    }
+    
+    // move in the given format (see above)
+    function moveToNotation(move, format) {
+      switch (format) {
+        case 'iccs': return (COORDINATES[getSourceSquare(move)] + '-' + COORDINATES[getTargetSquare(move)]).toUpperCase();
+        case 'wxf': return moveToWxf(move);
+        case 'fullwidth': return toFullWidth(moveToWxf(move));
+        case 'simplified': return moveToChinese(move, 'simplified');
+        case 'traditional': return moveToChinese(move, 'traditional');
+        default: return moveToString(move);
+      }
+    }
+    
+    // ASCII to full-width characters
+    function toFullWidth(text) {
+      return text.replace(/[!-~]/g, function(char) { return String.fromCharCode(char.charCodeAt(0) + 0xFEE0); });
+    }
+    
+    // notation in WXF characters
+    function normalizeNotation(text) {
+      return String(text).trim()
+        .replace(/[！-～]/g, function(char) { return String.fromCharCode(char.charCodeAt(0) - 0xFEE0); })
+        .toUpperCase()
+        .split('')
+        .map(function(char) { return NOTATION_ALIASES[char] || char; })
+        .join('');
+    }
+    
+    // piece type, file and order from the front named by the first two characters, null if none
+    function parseNotationHead(head) {
+      let parsed = { type: 'P', file: 0, order: '' };
+      
+      for (let index = 0; index < 2; index++) {
+        let char = head[index];
+        
+        if (/[PAEHCRK]/.test(char)) parsed.type = char;
+        
+        // digit after a piece or after an order is a file, else an order
+        else if (/[1-9]/.test(char) && (index == 1)) parsed.file = Number(char);
+        else parsed.order = char;
+      }
+      
+      // piece letter must be there unless pawns are named by order & file
+      if (!/[PAEHCRK]/.test(head) && (parsed.order == '' || parsed.file == 0)) return null;
+      if (/[PAEHCRK]{2}|[+=-]{2}/.test(head)) return null;
+      return parsed;
+    }
+    
+    // order '+', '=', '-' or '1' - '5' names the piece at index of tandem pieces
+    function isTandemOrder(order, index, tandem) {
+      if (tandem < 2) return 0;
+      if (order == '+') return index == 0;
+      if (order == '-') return index == tandem - 1;
+      if (order == '=') return tandem == 3 && index == 1;
+      return Number(order) - 1 == index;
+    }
+    
+    // legal move from notation in any format, 0 if there is none or more than one
+    function moveFromNotation(text) {
+      let coordinates = String(text).trim().replace('-', '').toLowerCase();
+      let notation = normalizeNotation(text);
+      let legalMoves = generateLegalMoves();
+      
+      // coordinates, 'h2e2' or 'H2-E2'
+      if (/^[a-i][0-9][a-i][0-9]$/.test(coordinates)) {
+        for (let index = 0; index < legalMoves.length; index++)
+          if (moveToString(legalMoves[index].move) == coordinates) return legalMoves[index].move;
+        
+        return 0;
+      }
+      
+      // WXF, piece & file or order, direction, target
+      if (!/^[PAEHCRK1-9+=-]{2}[+=-][1-9]$/.test(notation)) return 0;
+      
+      let head = parseNotationHead(notation.slice(0, 2));
+      let found = [];
+      if (head == null) return 0;
+      
+      for (let index = 0; index < legalMoves.length; index++) {
+        let move = legalMoves[index].move;
+        let parts = notationParts(move);
+        
+        if (WXF_PIECES[parts.piece] != head.type ||
+            parts.direction != notation[2] ||
+            parts.target != Number(notation[3])) continue;
+        
+        if (head.file && parts.file != head.file) continue;
+        if (head.order && !isTandemOrder(head.order, parts.order, parts.tandem)) continue;
+        found.push(move);
+      }
+      
+      return (found.length == 1) ? found[0] : 0;
+    }
+    
+    // notation of the moves played since the start position, moves stay as they are
+    function gameNotation(format) {
+      let entries = [];
+      let notation = [];
+      
+      while (moveStack.length) {
+        entries.unshift(moveStack[moveStack.length - 1]);
+        takeBack();
+      }
+      
+      for (let index = 0; index < entries.length; index++) {
+        notation.push(moveToNotation(entries[index].move, format));
+        makeMove(entries[index].move);
+        
+        // keep the entries the GUI has stored scores in
+        moveStack[moveStack.length - 1] = entries[index];
+      }
+      
+      return notation;
+    }
+    
+    /*
+        Legal moves with everything a GUI needs:
+        
+          [{ move, uci: 'h2e2', iccs: 'H2-E2', wxf: 'C2=5', chinese: '炮二平五',
+             piece: 'C', from: 'h2', to: 'e2', source, target,
+             capture: 0 | 1, captured: '' | 'p', check: 0 | 1, mate: 0 | 1 }]
+    */
+    
+    // legal moves of the side to move with notation & flags
+    function legalMovesDetailed() {
+      let moves = [];
+      let legalMoves = generateLegalMoves();
+      
+      for (let index = 0; index < legalMoves.length; index++) {
+        let move = legalMoves[index].move;
+        let sourceSquare = getSourceSquare(move);
+        let targetSquare = getTargetSquare(move);
+        let detailed = {
+          move: move,
+          uci: moveToString(move),
+          iccs: moveToNotation(move, 'iccs'),
+          wxf: moveToWxf(move),
+          chinese: moveToChinese(move),
+          piece: PIECE_TO_CHAR[getSourcePiece(move)],
+          from: COORDINATES[sourceSquare],
+          to: COORDINATES[targetSquare],
+          source: sourceSquare,
+          target: targetSquare,
+          capture: getCaptureFlag(move),
+          captured: getCaptureFlag(move) ? PIECE_TO_CHAR[getTargetPiece(move)] : '',
+          check: 0,
+          mate: 0
+        };
+        
+        makeMove(move);
+        detailed.check = isSquareAttacked(kingSquare[side], side ^ 1);
+        if (detailed.check && generateLegalMoves().length == 0) detailed.mate = 1;
+        takeBack();
+        
+        moves.push(detailed);
+      }
+      
+      return moves;
+    }
+    
+    /****************************\
+     ============================
+   
+                 PERFT
+
+     ============================              
+    \****************************/
+    
+    /*
+      rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1
+      depth       nodes    checks    captures
+          1          44         0           2
+          2        1920         6          72
+          3       79666       384        3159
+          4     3290240     19380      115365
+          5   133312995    953251     4917734  
+          6  5392831844
+
+
+      r1ba1a3/4kn3/2n1b4/pNp1p1p1p/4c4/6P2/P1P2R2P/1CcC5/9/2BAKAB2 w - - 0 1
+      depth       nodes    checks    captures
+          1          38         1           1
+          2        1128        12          10
+          3       43929      1190        2105
+          4     1339047     21299       31409
+          5    53112976   1496697     3262495
+    */
+    
+    // perft driver
+    function perftDriver(depth) {
+      if  (depth == 0) { nodes++; return; }
+      
+      let moveList = generateMoves(ALL_MOVES);
+      
+      for (var count = 0; count < moveList.length; count++) {      
+        if (!makeMove(moveList[count].move)) continue;
+        perftDriver(depth - 1);      
+        takeBack();
+      }
+    }
+    
+    // perft test
+    function perftTest(depth) {
+      nodes = 0;
+      console.log('   Performance test:\n');
+      resultString = '';
+      let startTime = Date.now();
+      
+      let moveList = generateMoves(ALL_MOVES);
+      
+      for (var count = 0; count < moveList.length; count++) {
+        if (makeMove(moveList[count].move) == 0) continue;
+        let cumNodes = nodes;
+        perftDriver(depth - 1);
+        takeBack();
+        let oldNodes = nodes - cumNodes;
+        console.log(  '   move' +
+                      ' ' + (count + 1) + ((count < 9) ? ':  ': ': ') +
+                      COORDINATES[getSourceSquare(moveList[count].move)] +
+                      COORDINATES[getTargetSquare(moveList[count].move)] +
+                      '    nodes: ' + oldNodes);
+      }
+      
+      resultString += '\n   Depth: ' + depth;
+      resultString += '\n   Nodes: ' + nodes;
+      resultString += '\n    Time: ' + (Date.now() - startTime) + ' ms\n';
+      console.log(resultString);
+    }
+
+
+    /****************************\
+     ============================
+   
               EVALUATION
 
      ============================              
@@ -1069,109 +1924,357 @@ var Engine = function() {
       0,   0,   0,   0,   0,   0,   0,   0,   0,   0,   0
     ];
     
-    // static evaluation
-    function evaluate() {
-      let score = 0;
-      
-      for (let square = 0; square < board.length; square++) {
-        if (board[square] != OFFBOARD) {
-          if (board[square]) {
-            let piece = board[square];
-            let pstIndex = PIECE_TYPE[piece] - 16;
-            let pieceColor = PIECE_COLOR[piece];
-            
-            // material score
-            score += MATERIAL_WEIGHTS[piece];
-            
-            // positional score
-            if (EVALUATE_TYPES[pstIndex]) {
-              if (pieceColor == RED) score += PST[pstIndex][square]
-              else score -= PST[pstIndex][MIRROR_SQUARE[square]];
-            }
+    // material & positional score of every piece on every square, red's point of view
+    const PIECE_SCORES = new Array(15 * 11 * 14).fill(0);
+    
+    // fill piece scores from material weights & piece square tables
+    function initPieceScores() {
+      for (let piece = RED_PAWN; piece <= BLACK_KING; piece++) {
+        let pstIndex = PIECE_TYPE[piece] - 16;
+        
+        for (let square = 0; square < 11 * 14; square++) {
+          // material score
+          let score = MATERIAL_WEIGHTS[piece];
+          
+          // positional score
+          if (EVALUATE_TYPES[pstIndex]) {
+            if (PIECE_COLOR[piece] == RED) score += PST[pstIndex][square];
+            else score -= PST[pstIndex][MIRROR_SQUARE[square]];
           }
+          
+          PIECE_SCORES[piece * 11 * 14 + square] = score;
         }
       }
-      
-      return (side == RED) ? score : -score;
+    }
+    
+    // static evaluation (score is updated by makeMove() and takeBack())
+    function evaluate() {
+      return (side == RED) ? evalScore : -evalScore;
     }
 
+    // pawn placement on the opponent's half is reported as a separate term
+    function isAcrossRiver(square, color) {
+      let row = Math.floor(((color == RED) ? square : MIRROR_SQUARE[square]) / 11);
+      return (row <= 6) ? 1 : 0;
+    }
 
-    /****************************\
-     ============================
-   
-         TRANSPOSITION TABLE
+    // empty terms of the evaluation
+    function evaluationTerms() {
+      return { material: 0, pst: 0, river: 0, total: 0 };
+    }
 
-     ============================              
-    \****************************/
-    
-    // 16Mb default hash table size
-    var hashEntries = 838860;    
+    // static evaluation split by side, piece and term (same sum as evaluate() from red's point of view)
+    function explainEvaluation() {
+      let explanation = {
+        score: 0,
+        red: evaluationTerms(),
+        black: evaluationTerms(),
+        squares: []
+      };
 
-    // no hash entry found constant
-    const NO_HASH = 100000;
+      explanation.red.pieces = {};
+      explanation.black.pieces = {};
 
-    // transposition table hash flags
-    const HASH_EXACT = 0;
-    const HASH_ALPHA = 1;
-    const HASH_BETA = 2;
+      for (let square = 0; square < board.length; square++) {
+        let piece = board[square];
+        if (piece == EMPTY || piece == OFFBOARD) continue;
 
-    // define TT instance
-    var hashTable = [];
-    
-    // set hash size
-    function setHashSize(Mb) {
-      hashTable = [];
-      
-      // adjust MB if going beyond the aloowed bounds
-      if(Mb < 4) Mb = 4;
-      if(Mb > 128) Mb = 128;
-      
-      hashEntries = parseInt(Mb * 0x100000 / 20);
-      initHashTable();
-      
-      console.log('Set hash table size to', Mb, 'Mb');
-      console.log('Hash table initialized with', hashEntries, 'entries');
-    }
-    
-    // clear TT (hash table)
+        let pstIndex = PIECE_TYPE[piece] - 16;
+        let pieceColor = PIECE_COLOR[piece];
+        let terms = evaluationTerms();
+
+        // scores are positive for the piece's own side
+        terms.material = Math.abs(MATERIAL_WEIGHTS[piece]);
+
+        if (EVALUATE_TYPES[pstIndex])
+          terms.pst = PST[pstIndex][(pieceColor == RED) ? square : MIRROR_SQUARE[square]];
+
+        if (PIECE_TYPE[piece] == PAWN && isAcrossRiver(square, pieceColor)) {
+          terms.river = terms.pst;
+          terms.pst = 0;
+        }
+
+        terms.total = terms.material + terms.pst + terms.river;
+
+        // sum up per side and per piece type
+        let sideTerms = (pieceColor == RED) ? explanation.red : explanation.black;
+        let type = PIECE_TO_CHAR[pstIndex + 1];
+
+        if (sideTerms.pieces[type] == undefined) {
+          sideTerms.pieces[type] = evaluationTerms();
+          sideTerms.pieces[type].count = 0;
+        }
+
+        for (let term in terms) {
+          sideTerms[term] += terms[term];
+          sideTerms.pieces[type][term] += terms[term];
+        }
+
+        sideTerms.pieces[type].count++;
+        terms.square = COORDINATES[square];
+        terms.piece = PIECE_TO_CHAR[piece];
+        terms.color = pieceColor;
+        explanation.squares.push(terms);
+      }
+
+      explanation.score = explanation.red.total - explanation.black.total;
+      return explanation;
+    }
+
+    /*
+        Evaluation parameters as JSON (e.g. src/engine/weights.json):
+
+        {
+          "material": { "P": 30, "A": 120, "B": 120, "N": 270, "C": 285, "R": 600, "K": 6000 },
+          "pst": { "P": [[...9 files...] x 10 ranks], "N": ..., "C": ..., "R": ... }
+        }
+
+        Piece square tables are seen from red's side, rank 9 first;
+        black uses them mirrored. Pieces without a table get no
+        positional score. Missing keys keep their current values.
+    */
+
+    // piece types in parameter files, same order as PST
+    const PARAM_TYPES = ['P', 'A', 'B', 'N', 'C', 'R', 'K'];
+
+    // eval params error
+    function paramsError(message) {
+      return new Error('Invalid eval params: ' + message);
+    }
+
+    // current evaluation parameters
+    function getEvalParams() {
+      let params = { material: {}, pst: {} };
+
+      for (let index = 0; index < PARAM_TYPES.length; index++) {
+        let type = PARAM_TYPES[index];
+        params.material[type] = MATERIAL_WEIGHTS[index + 1];
+        if (EVALUATE_TYPES[index] == 0) continue;
+
+        params.pst[type] = [];
+
+        for (let rank = 0; rank < 10; rank++) {
+          params.pst[type].push([]);
+
+          for (let file = 0; file < 9; file++)
+            params.pst[type][rank].push(PST[index][(rank + 2) * 11 + file + 1]);
+        }
+      }
+
+      return params;
+    }
+
+    // load evaluation parameters, nothing changes if they are invalid
+    function setEvalParams(params) {
+      if (params == null || typeof(params) != 'object') throw paramsError('not an object');
+
+      let material = params.material || {};
+      let pst = params.pst || {};
+
+      // validate everything first
+      for (let type in material) {
+        if (PARAM_TYPES.indexOf(type) == -1) throw paramsError('unknown piece "' + type + '"');
+        if (typeof(material[type]) != 'number') throw paramsError('material of "' + type + '" is not a number');
+      }
+
+      for (let type in pst) {
+        let table = pst[type];
+
+        if (PARAM_TYPES.indexOf(type) == -1) throw paramsError('unknown piece "' + type + '"');
+        if (Array.isArray(table) == false || table.length != 10) throw paramsError('"' + type + '" table needs 10 ranks');
+
+        for (let rank = 0; rank < 10; rank++) {
+          if (Array.isArray(table[rank]) == false || table[rank].length != 9 ||
+              table[rank].some(function(value) { return typeof(value) != 'number'; }))
+            throw paramsError('"' + type + '" rank ' + (9 - rank) + ' needs 9 numbers');
+        }
+      }
+
+      for (let type in material) {
+        let index = PARAM_TYPES.indexOf(type);
+        MATERIAL_WEIGHTS[index + 1] = Math.round(material[type]);
+        MATERIAL_WEIGHTS[index + 8] = -Math.round(material[type]);
+      }
+
+      for (let type in pst) {
+        let index = PARAM_TYPES.indexOf(type);
+        PST[index] = new Array(11 * 14).fill(0);
+        EVALUATE_TYPES[index] = 1;
+
+        for (let rank = 0; rank < 10; rank++)
+          for (let file = 0; file < 9; file++)
+            PST[index][(rank + 2) * 11 + file + 1] = Math.round(pst[type][rank][file]);
+      }
+
+      // rescore the pieces on board, scores in the hash table came from the old parameters
+      initPieceScores();
+      initPieceLists();
+      initHashTable();
+    }
+
+
+    /****************************\
+     ============================
+   
+         TRANSPOSITION TABLE
+
+     ============================              
+    \****************************/
+    
+    /*
+        Entries live in one Int32Array, 4 words each:
+        
+          key low | key high | best move | score, depth, flag, age
+        
+        packed as score + 65536 (17 bits), depth (7 bits),
+        flag (2 bits) and age (6 bits). 4 entries make a bucket,
+        a new entry replaces the same position, an empty slot or
+        the shallowest entry, entries of older searches first.
+        
+        Search threads may share the table over a SharedArrayBuffer
+        without locks: key words are stored xor-ed with the data and
+        the move, so an entry half written by another thread doesn't
+        match any position and is ignored.
+    */
+    
+    // words per entry, entries per bucket
+    const HASH_ENTRY_SIZE = 4;
+    const HASH_BUCKET_SIZE = 4;
+    
+    // hash table size bounds in Mb, Node.js handles much bigger typed arrays
+    const MIN_HASH_MB = 1;
+    const MAX_HASH_MB = (typeof process != 'undefined' && process.versions && process.versions.node) ? 4096 : 128;
+    
+    // keeps packed scores positive
+    const HASH_SCORE_OFFSET = 65536;
+
+    // no hash entry found constant
+    const NO_HASH = 100000;
+
+    // transposition table hash flags
+    const HASH_EXACT = 0;
+    const HASH_ALPHA = 1;
+    const HASH_BETA = 2;
+
+    // define TT instance (16Mb default)
+    var hashBuckets = 0;
+    var hashTable = new Int32Array(0);
+    var hashMb = 16;
+    
+    // current search generation, older entries get replaced first
+    var hashAge = 0;
+    
+    // move & data words of the entry last found
+    var hashMove = 0;
+    var hashData = 0;
+    
+    // set hash size
+    function setHashSize(Mb) {
+      // adjust MB if going beyond the aloowed bounds
+      if(Mb < MIN_HASH_MB) Mb = MIN_HASH_MB;
+      if(Mb > MAX_HASH_MB) Mb = MAX_HASH_MB;
+      
+      try {
+        allocateHashTable(Mb);
+      } catch(e) {
+        console.log('Not enough memory for', Mb, 'Mb hash table, keeping', hashMb, 'Mb');
+        return;
+      }
+      
+      console.log('Set hash table size to', Mb, 'Mb');
+      console.log('Hash table initialized with', hashBuckets * HASH_BUCKET_SIZE, 'entries');
+    }
+    
+    // allocate empty table of given size
+    function allocateHashTable(Mb) {
+      let buckets = Math.floor(Mb * 0x100000 / (HASH_ENTRY_SIZE * HASH_BUCKET_SIZE * 4));
+      
+      hashTable = new Int32Array(buckets * HASH_BUCKET_SIZE * HASH_ENTRY_SIZE);
+      hashBuckets = buckets;
+      hashMb = Mb;
+      hashAge = 0;
+    }
+    
+    // use table shared with other search threads (SharedArrayBuffer)
+    function setHashBuffer(buffer) {
+      hashTable = new Int32Array(buffer);
+      hashBuckets = Math.floor(hashTable.length / (HASH_ENTRY_SIZE * HASH_BUCKET_SIZE));
+      hashMb = Math.round(buffer.byteLength / 0x100000);
+      hashAge = 0;
+    }
+    
+    // clear TT (hash table)
     function initHashTable() {
-      // loop over TT elements
-      for (var index = 0; index < hashEntries; index++) {
-        // reset TT inner fields
-        hashTable[index] = {
-          hashKey: 0,
-          depth: 0,
-          flag: 0,
-          score: 0,
-          bestMove: 0
+      if (hashBuckets == 0) allocateHashTable(hashMb);
+      
+      hashTable.fill(0);
+      hashAge = 0;
+    }
+    
+    // next search generation
+    function ageHashTable() {
+      hashAge = (hashAge + 1) & 63;
+    }
+    
+    // packed entry fields
+    function hashEntryScore(data) { return (data & 0x1FFFF) - HASH_SCORE_OFFSET; }
+    function hashEntryDepth(data) { return (data >>> 17) & 0x7F; }
+    function hashEntryFlag(data) { return (data >>> 24) & 3; }
+    function hashEntryAge(data) { return (data >>> 26) & 63; }
+    
+    // first word of the bucket of current position
+    function hashBucketIndex() {
+      return ((hashKey >>> 0) % hashBuckets) * HASH_BUCKET_SIZE * HASH_ENTRY_SIZE;
+    }
+    
+    // index of the entry of current position (words in hashMove, hashData), -1 if not stored
+    function findHashEntry() {
+      let index = hashBucketIndex();
+      
+      for (let count = 0; count < HASH_BUCKET_SIZE; count++, index += HASH_ENTRY_SIZE) {
+        let move = hashTable[index + 2];
+        let data = hashTable[index + 3];
+        
+        if (data && (hashTable[index] ^ data) == hashKey && (hashTable[index + 1] ^ move) == hashLock) {
+          hashMove = move;
+          hashData = data;
+          return index;
         }
       }
+      
+      return -1;
     }
     
     // read hash entry data
     function readHashEntry(alpha, beta, bestMove, depth) {
-      // init hash entry
-      var hashEntry = hashTable[(hashKey & 0x7fffffff) % hashEntries];
-
-      // match hash key
-      if (hashEntry.hashKey == hashKey) {
-        if (hashEntry.depth >= depth) {
-          // init score
-          var score = hashEntry.score;
-          
-          // adjust mating scores
-          if (score < -MATE_SCORE) score += searchPly;
-          if (score > MATE_SCORE) score -= searchPly;
-          
-          // match hash flag
-          if (hashEntry.flag == HASH_EXACT) return score;
-          if ((hashEntry.flag == HASH_ALPHA) && (score <= alpha)) return alpha;
-          if ((hashEntry.flag == HASH_BETA) && (score >= beta)) return beta;
-        }
-
-        // store best move
-        bestMove.value = hashEntry.bestMove;
+      let index = findHashEntry();
+      if (index == -1) return NO_HASH;
+      
+      let data = hashData;
+      let move = hashMove;
+      
+      // entry is still in use by this search
+      let refreshed = (data & 0x03FFFFFF) | (hashAge << 26);
+      hashTable[index + 3] = refreshed;
+      hashTable[index] = hashKey ^ refreshed;
+      
+      if (hashEntryDepth(data) >= depth) {
+        // init score
+        let score = hashEntryScore(data);
+        let flag = hashEntryFlag(data);
+        
+        // adjust mating scores
+        if (score < -MATE_SCORE) score += searchPly;
+        if (score > MATE_SCORE) score -= searchPly;
+        
+        // match hash flag
+        if (flag == HASH_EXACT) return score;
+        if ((flag == HASH_ALPHA) && (score <= alpha)) return alpha;
+        if ((flag == HASH_BETA) && (score >= beta)) return beta;
       }
+
+      // store best move
+      bestMove.value = move;
       
       // if hash entry doesn't exist
       return NO_HASH;
@@ -1179,19 +2282,79 @@ var Engine = function() {
 
     // write hash entry data
     function writeHashEntry(score, bestMove, depth, hashFlag) {
-      // init hash entry
-      var hashEntry = hashTable[(hashKey & 0x7fffffff) % hashEntries];
+      let bucket = hashBucketIndex();
+      let index = bucket;
+      let lowestValue = Infinity;
+      
+      let oldMove = 0;
+      
+      // same position or empty slot, else the least valuable entry
+      for (let count = 0; count < HASH_BUCKET_SIZE; count++) {
+        let slot = bucket + count * HASH_ENTRY_SIZE;
+        let move = hashTable[slot + 2];
+        let data = hashTable[slot + 3];
+        
+        if (data == 0) {
+          index = slot;
+          break;
+        }
+        
+        if ((hashTable[slot] ^ data) == hashKey && (hashTable[slot + 1] ^ move) == hashLock) {
+          index = slot;
+          oldMove = move;
+          break;
+        }
+        
+        let value = hashEntryDepth(data) - 8 * ((hashAge - hashEntryAge(data)) & 63);
+        
+        if (value < lowestValue) {
+          lowestValue = value;
+          index = slot;
+        }
+      }
+      
+      // keep the best move of the same position
+      if (bestMove == 0) bestMove = oldMove;
 
       // adjust mating scores
       if (score < -MATE_SCORE) score -= searchPly;
       if (score > MATE_SCORE) score += searchPly;
 
+      let data = ((score + HASH_SCORE_OFFSET) & 0x1FFFF) |
+                 (Math.min(depth, 127) << 17) |
+                 (hashFlag << 24) |
+                 (hashAge << 26);
+
       // write hash entry data 
-      hashEntry.hashKey = hashKey;
-      hashEntry.score = score;
-      hashEntry.flag = hashFlag;
-      hashEntry.depth = depth;
-      hashEntry.bestMove = bestMove;
+      hashTable[index] = hashKey ^ data;
+      hashTable[index + 1] = hashLock ^ bestMove;
+      hashTable[index + 2] = bestMove;
+      hashTable[index + 3] = data;
+    }
+    
+    // TT usage in permill: entries of the current search among the first 1000
+    function hashFull() {
+      let used = 0;
+      let entries = Math.min(1000, hashBuckets * HASH_BUCKET_SIZE);
+      
+      for (let entry = 0; entry < entries; entry++) {
+        let data = hashTable[entry * HASH_ENTRY_SIZE + 3];
+        if (data && hashEntryAge(data) == hashAge) used++;
+      }
+      
+      return Math.round(used * 1000 / entries);
+    }
+    
+    // hash entry of current position, null if not stored
+    function probeHash() {
+      if (findHashEntry() == -1) return null;
+      
+      return {
+        depth: hashEntryDepth(hashData),
+        bound: ['exact', 'upper', 'lower'][hashEntryFlag(hashData)],
+        score: hashEntryScore(hashData),
+        bestmove: hashMove ? moveToString(hashMove) : ''
+      };
     }
 
 
@@ -1206,6 +2369,9 @@ var Engine = function() {
     // visited nodes count
     var nodes = 0;
     
+    // selective search depth (max ply reached)
+    var selDepth = 0;
+    
     // most valuable victim least valuable attacker, e.g. Pxr == 606, Rxp = 
     const MVV_LVA = [
 	    0,   0,   0,   0,   0,   0,   0,   0,    0,   0,   0,   0,   0,   0,   0,
@@ -1231,6 +2397,9 @@ var Engine = function() {
     const INFINITY = 50000;
     const MATE_VALUE = 49000;
     const MATE_SCORE = 48000;
+    
+    // score for losing by repetition rules (below mate scores)
+    const BAN_SCORE = MATE_SCORE - 100;
     const DO_NULL = 1;
     const NO_NULL = 0;
     const ALL_MOVES = 0;
@@ -1257,25 +2426,46 @@ var Engine = function() {
       timeSet: 0,
       stopTime: 0,
       stopped: 0,
-      time: -1
+      time: -1,
+      nodes: 0
     }
     
+    // external stop request (Int32Array over a SharedArrayBuffer)
+    var stopSignal = null;
+    
+    // searches up to this id stop once the shared flag reaches it
+    var stopId = 1;
+    
+    // index among threads sharing the hash table (Lazy SMP), 0 is the main thread
+    var searchThread = 0;
+    
     // set time control
     function setTimeControl(timeControl) { timing = timeControl; }
     
+    // share stop flag with the thread that controls the search
+    function setStopSignal(signal, id) {
+      stopSignal = signal;
+      stopId = id || 1;
+    }
+    
+    // set thread index, every other helper thread searches one ply ahead
+    function setSearchThread(index) { searchThread = index || 0; }
+    
     // reset time control
     function resetTimeControl() {
       timing = {
         timeSet: 0,
         stopTime: 0,
         stopped: 0,
-        time: -1
+        time: -1,
+        nodes: 0
       }
     }
     
     function clearSearch() {
       // reset nodes counter
       nodes = 0;
+      selDepth = 0;
       timing.stopped = 0;
       searchPly = 0;
       
@@ -1288,6 +2478,8 @@ var Engine = function() {
     // handle time control
     function checkTime() {
       if(timing.timeSet == 1 && Date.now() > timing.stopTime) timing.stopped = 1;
+      if (timing.nodes && nodes >= timing.nodes) timing.stopped = 1;
+      if (stopSignal && Atomics.load(stopSignal, 0) >= stopId) timing.stopped = 1;
     }
 
     // position repetition detection
@@ -1298,6 +2490,18 @@ var Engine = function() {
       return 0;
     }
     
+    // repetitions lost or won by the rules so far, scores depending on them stay out of the TT
+    var banCount = 0;
+    
+    // score repetition by the rules, forbidden cycles lose
+    function repetitionScore() {
+      let repetition = getRepetition();
+      
+      if (repetition == null || repetition.loser == NO_COLOR) return 0;
+      banCount++;
+      return (repetition.loser == side) ? -BAN_SCORE : BAN_SCORE;
+    }
+    
     // move ordering
     function sortMoves(currentCount, moveList) {
       for (let nextCount = currentCount + 1; nextCount < moveList.length; nextCount++) {
@@ -1346,6 +2550,8 @@ var Engine = function() {
       pvLength[searchPly] = searchPly;
       nodes++;
       
+      if (searchPly > selDepth) selDepth = searchPly;
+      
       if((nodes & 2047 ) == 0) {
         checkTime();
         if (timing.stopped == 1) return 0;
@@ -1395,6 +2601,10 @@ var Engine = function() {
       let pvNode = beta - alpha > 1;
       let futilityPruning = 0;
       
+      // repetitions depend on the game history, so before the TT
+      if ((searchPly && isRepetition())) return repetitionScore();
+      let bans = banCount;
+      
       // read hash entry
       if (searchPly && 
          (score = readHashEntry(alpha, beta, bestMove, depth)) != NO_HASH &&
@@ -1407,7 +2617,6 @@ var Engine = function() {
       }
 
       if (sixty >= 120) return 0;
-      if ((searchPly && isRepetition())) return -MATERIAL_WEIGHTS[RED_CANNON];
       if (depth == 0) { nodes++; return quiescence(alpha, beta); }
       
       // mate distance pruning
@@ -1480,9 +2689,16 @@ var Engine = function() {
       for (let count = 0; count < moveList.length; count++) {
         sortMoves(count, moveList);
         let move = moveList[count].move;
+        
+        // skip root moves of better MultiPV lines and moves outside searchmoves
+        if (searchPly == 0 && isSkippedRootMove(move)) continue;
         if (makeMove(move) == 0) continue;
         legalMoves++;
         
+        // report root move being searched
+        if (searchPly == 1 && currMoveListeners.length && Date.now() - searchStart > 1000)
+          emit(currMoveListeners, { depth: depth, currmove: moveToString(move), currmovenumber: legalMoves });
+        
         // futility pruning
         if (futilityPruning &&
             movesSearched &&
@@ -1530,7 +2746,8 @@ var Engine = function() {
           
           if (score >= beta) {
             // store hash entry with the score equal to beta
-            writeHashEntry(beta, bestMove.value, depth, HASH_BETA);
+            if ((searchPly || isRootFiltered() == 0) && banCount == bans)
+              writeHashEntry(beta, bestMove.value, depth, HASH_BETA);
 
             // store killer moves
             if (getCaptureFlag(move) == 0) {
@@ -1547,89 +2764,841 @@ var Engine = function() {
       if (legalMoves == 0) { return -MATE_VALUE + searchPly; }
       
       // store hash entry with the score equal to alpha
-      writeHashEntry(alpha, bestMove.value, depth, hashFlag);
+      if ((searchPly || isRootFiltered() == 0) && banCount == bans)
+        writeHashEntry(alpha, bestMove.value, depth, hashFlag);
 
       return alpha;
     }
     
+    // number of best lines to search (MultiPV)
+    var multiPv = 1;
+    
+    // root moves skipped by the search (better MultiPV lines)
+    var excludedMoves = [];
+    
+    // root moves to search, all if empty (UCI searchmoves)
+    var searchMoves = [];
+    
+    // root moves never played (UCCI banmoves)
+    var banMoves = [];
+    
+    // search start time
+    var searchStart = 0;
+    
+    // info of the best line from the last completed iteration
+    var bestLineInfo = null;
+    
+    // set number of best lines to search
+    function setMultiPv(lines) {
+      multiPv = Math.max(1, parseInt(lines) || 1);
+    }
+    
+    // encode list of moves (strings or encoded), unknown moves are dropped
+    function parseMoveList(moves) {
+      let moveList = [];
+      
+      for (let index = 0; index < (moves || []).length; index++) {
+        let move = moves[index];
+        
+        if (typeof move == 'string') move = (move.length == 4) ? moveFromString(move) : 0;
+        if (move) moveList.push(move);
+      }
+      
+      return moveList;
+    }
+    
+    // restrict root to given moves, empty list searches all
+    function setSearchMoves(moves) { searchMoves = parseMoveList(moves); }
+    
+    // forbid given root moves
+    function setBanMoves(moves) { banMoves = parseMoveList(moves); }
+    
+    // root move is not searched
+    function isSkippedRootMove(move) {
+      if (excludedMoves.indexOf(move) != -1) return 1;
+      if (banMoves.indexOf(move) != -1) return 1;
+      if (searchMoves.length && searchMoves.indexOf(move) == -1) return 1;
+      return 0;
+    }
+    
+    // root scores are not those of the whole position
+    function isRootFiltered() {
+      return (excludedMoves.length || banMoves.length || searchMoves.length) ? 1 : 0;
+    }
+    
+    // legal root moves the search may play
+    function getRootMoves() {
+      let rootMoves = [];
+      let legalMoves = generateLegalMoves();
+      
+      for (let index = 0; index < legalMoves.length; index++)
+        if (isSkippedRootMove(legalMoves[index].move) == 0) rootMoves.push(legalMoves[index].move);
+      
+      return rootMoves;
+    }
+    
+    // search info listeners
+    var infoListeners = [];
+    var bestMoveListeners = [];
+    var currMoveListeners = [];
+    
+    // notify listeners
+    function emit(listeners, data) {
+      for (let index = 0; index < listeners.length; index++) listeners[index](data);
+    }
+    
+    // convert search info to UCI string
+    function infoToString(info) {
+      return 'info depth ' + info.depth +
+             ' seldepth ' + info.seldepth +
+             ' multipv ' + info.multipv +
+             ' score ' + info.scoreType + ' ' + info.score +
+             ' nodes ' + info.nodes +
+             ' nps ' + info.nps +
+             ' time ' + info.time +
+             ' hashfull ' + info.hashfull +
+             ' pv ' + info.pv.join(' ');
+    }
+    
     // search position for the best move
     function searchPosition(depth) {
       let start = Date.now();
       let score = 0;
-      let lastBestMove = 0;
+      let bestMove = 0;
+      let lastPv = [];
+      let rootMoves = getRootMoves();
+      let lines = Math.min(skillLines(multiPv), rootMoves.length);
+      let candidates = [];
+      
+      searchStart = start;
+      bestLineInfo = null;
+      depth = skillDepth(depth);
       
       clearSearch();
+      ageHashTable();
 
       // iterative deepening
-      for (let currentDepth = 1; currentDepth <= depth; currentDepth++) {
-        lastBestMove = pvTable[0];
-        followPv = 1;
-        score = negamax(-INFINITY, INFINITY, currentDepth, DO_NULL);
+      for (let currentDepth = 1 + (searchThread & 1); currentDepth <= depth; currentDepth++) {
+        let mateFound = 0;
+        let depthCandidates = [];
+        excludedMoves = [];
         
-        // stop searching if time is up
-        if (timing.stopped == 1 || 
-           ((Date.now() > timing.stopTime) &&
-            timing.time != -1)) break;
+        // search N best root moves, each excluding the better ones
+        for (let pvIndex = 0; pvIndex < lines; pvIndex++) {
+          followPv = (pvIndex == 0) ? 1 : 0;
+          score = negamax(-INFINITY, INFINITY, currentDepth, DO_NULL);
+          
+          // stop searching if time is up
+          if (timing.stopped == 1 || 
+             ((Date.now() > timing.stopTime) &&
+              timing.time != -1)) break;
+          
+          let time = Date.now() - start;
+          let info = {
+            depth: currentDepth,
+            seldepth: Math.max(selDepth, currentDepth),
+            multipv: pvIndex + 1,
+            scoreType: 'cp',
+            score: score,
+            nodes: nodes,
+            nps: time ? Math.round(nodes * 1000 / time) : nodes,
+            time: time,
+            hashfull: hashFull(),
+            pv: []
+          };
+          
+          // mate scores in moves, negative if side to move is getting mated
+          if (score >= -MATE_VALUE && score <= -MATE_SCORE) {
+            info.scoreType = 'mate';
+            info.score = parseInt(-(score + MATE_VALUE) / 2 - 1);
+          } else if (score >= MATE_SCORE && score <= MATE_VALUE) {
+            info.scoreType = 'mate';
+            info.score = parseInt((MATE_VALUE - score) / 2 + 1);
+          }
+          
+          for (let count = 0; count < pvLength[0]; count++)
+            info.pv.push(moveToString(pvTable[count]));
+          
+          excludedMoves.push(pvTable[0]);
+          depthCandidates.push({ move: pvTable[0], score: score, pv: info.pv, info: info });
+        }
         
-        let info = '';
-        
-        if (typeof(document) != 'undefined')
-          var uciScore = 0;
-        
-        if (score >= -MATE_VALUE && score <= -MATE_SCORE) {
-          info = 'info score mate ' + (parseInt(-(score + MATE_VALUE) / 2 - 1)) + 
-                 ' depth ' + currentDepth +
-                 ' nodes ' + nodes +
-                 ' time ' + (Date.now() - start) +
-                 ' pv ';
-                 
-          if (typeof(document) != 'undefined')
-            uciScore = 'M' + Math.abs((parseInt(-(score + MATE_VALUE) / 2 - 1)));
-        } else if (score >= MATE_SCORE && score <= MATE_VALUE) {
-          info = 'info score mate ' + (parseInt((MATE_VALUE - score) / 2 + 1)) + 
-                 ' depth ' + currentDepth +
-                 ' nodes ' + nodes +
-                 ' time ' + (Date.now() - start) +
-                 ' pv ';
-               
-          if (typeof(document) != 'undefined')
-            uciScore = 'M' + Math.abs((parseInt((MATE_VALUE - score) / 2 + 1)));
-        } else {
-          info = 'info score cp ' + score + 
-                 ' depth ' + currentDepth +
-                 ' nodes ' + nodes +
-                 ' time ' + (Date.now() - start) +
-                 ' pv ';
+        // a line searched later may outscore an earlier one, report best first
+        depthCandidates.sort(function(first, second) { return second.score - first.score; });
+        
+        for (let index = 0; index < depthCandidates.length; index++) {
+          let info = depthCandidates[index].info;
+          info.multipv = index + 1;
+          
+          if (index == 0) {
+            bestMove = depthCandidates[index].move;
+            bestLineInfo = info;
+            lastPv = info.pv;
+            if (info.scoreType == 'mate') mateFound = 1;
+          }
           
-          if (typeof(document) != 'undefined')
-            uciScore = -score;
+          emit(infoListeners, info);
         }
         
-        for (let count = 0; count < pvLength[0]; count++)
-          info += moveToString(pvTable[count]) + ' ';
-                  
-        console.log(info);
-        
-        if (typeof(document) != 'undefined') {
-          if (uciScore == 49000) uciScore = 'M1';
-          guiScore = uciScore;
-          guiDepth = info.split('depth ')[1].split(' ')[0];
-          guiPv = info.split('pv ')[1];
-          guiTime = info.split('time ')[1].split(' ')[0];
+        // all lines of the iteration are done
+        if (depthCandidates.length == lines) candidates = depthCandidates;
+        
+        if (timing.stopped == 1 || mateFound ||
+           ((Date.now() > timing.stopTime) &&
+            timing.time != -1)) break;
+      }
+      
+      excludedMoves = [];
+      
+      // weaker levels choose among the candidates
+      if (skillLevel < MAX_SKILL_LEVEL && candidates.length) {
+        let candidate = pickSkillMove(candidates);
+        bestMove = candidate.move;
+        lastPv = candidate.pv;
+      }
+      
+      // stopped before the first iteration completed
+      if (bestMove == 0 && rootMoves.length) bestMove = rootMoves[0];
+      
+      let bestMoveString = bestMove ? moveToString(bestMove) : '';
+      
+      emit(bestMoveListeners, {
+        move: bestMove,
+        bestmove: bestMoveString,
+        ponder: lastPv[1] || ''
+      });
+      
+      return bestMove;
+    }
+    
+    // best move and score among given root moves ({ include }) or all but given ones ({ exclude })
+    function searchRootMoves(depth, rootMoves) {
+      setSearchMoves(rootMoves.include);
+      setBanMoves(rootMoves.exclude);
+      
+      // none of the included moves exists
+      let noMoves = (rootMoves.include || []).length && searchMoves.length == 0;
+      let bestMove = noMoves ? 0 : searchPosition(depth);
+      let info = noMoves ? null : bestLineInfo;
+      
+      setSearchMoves([]);
+      setBanMoves([]);
+      
+      return {
+        move: bestMove,
+        bestmove: bestMove ? moveToString(bestMove) : '',
+        scoreType: info ? info.scoreType : 'cp',
+        score: info ? info.score : 0,
+        pv: info ? info.pv : []
+      };
+    }
+    
+    // static evaluation once captures are resolved, side to move point of view
+    function quiescenceScore() {
+      clearSearch();
+      return quiescence(-INFINITY, INFINITY);
+    }
+
+
+    /****************************\
+     ============================
+   
+                THREATS
+
+     ============================              
+    \****************************/
+    
+    /*
+        What is the opponent threatening? The side to move passes
+        (null move) and the opponent's best reply is the threat.
+        Threatened are the pieces it captures or newly attacks,
+        the material at stake is what its search score gains over
+        the static evaluation. In check there is no passing, the
+        check itself is the threat.
+    */
+
+    // squares of given side's pieces attacked by the opponent
+    function attackedPieces(color) {
+      let squares = [];
+
+      for (let index = 0; index < pieceList[color].length; index++)
+        if (isSquareAttacked(pieceList[color][index], color ^ 1)) squares.push(pieceList[color][index]);
+
+      return squares;
+    }
+
+    // opponent's best move if the side to move passed, null in check or without opponent moves
+    function findThreat(depth) {
+      if (isSquareAttacked(kingSquare[side], side ^ 1)) return null;
+
+      let color = side;
+      let attackedBefore = attackedPieces(color);
+      let timeControl = timing;
+      let settings = [multiPv, skillLevel];
+      let listeners = [infoListeners, bestMoveListeners, currMoveListeners];
+
+      infoListeners = [];
+      bestMoveListeners = [];
+      currMoveListeners = [];
+      multiPv = 1;
+      skillLevel = MAX_SKILL_LEVEL;
+      resetTimeControl();
+
+      makeNullMove();
+      let staticScore = evaluate();
+      let bestMove = searchPosition(depth || 4);
+      let info = bestLineInfo;
+      let threat = null;
+
+      if (bestMove && info) {
+        let threatened = [];
+
+        if (getCaptureFlag(bestMove)) threatened.push(getTargetSquare(bestMove));
+
+        makeMove(bestMove);
+        let attackedAfter = attackedPieces(color);
+        takeBack();
+
+        for (let index = 0; index < attackedAfter.length; index++)
+          if (attackedBefore.indexOf(attackedAfter[index]) == -1 &&
+              threatened.indexOf(attackedAfter[index]) == -1) threatened.push(attackedAfter[index]);
+
+        threat = {
+          move: bestMove,
+          bestmove: moveToString(bestMove),
+          scoreType: info.scoreType,
+          score: info.score,
+          pv: info.pv,
+          threatened: threatened.map(function(square) { return COORDINATES[square]; }),
+          material: (info.scoreType == 'cp') ? Math.max(0, info.score - staticScore) : 0
+        };
+      }
+
+      takeNullMove();
+
+      // restore search settings
+      infoListeners = listeners[0];
+      bestMoveListeners = listeners[1];
+      currMoveListeners = listeners[2];
+      multiPv = settings[0];
+      skillLevel = settings[1];
+      timing = timeControl;
+
+      return threat;
+    }
+
+
+    /****************************\
+     ============================
+   
+            STATIC EXCHANGE
+
+     ============================              
+    \****************************/
+    
+    /*
+        Static exchange evaluation: both sides keep capturing on one
+        square with their least valuable attacker and stop once it
+        doesn't pay. Captures are made on the board, so cannon screens
+        that appear or vanish, knight legs and pinned pieces all count.
+    */
+
+    // piece value in exchanges
+    function exchangeValue(piece) { return Math.abs(MATERIAL_WEIGHTS[piece]); }
+
+    // material the side to move wins by capturing on square, 0 if it better doesn't
+    function seeSquare(square) {
+      if (PIECE_COLOR[board[square]] != (side ^ 1)) return 0;
+
+      let attackers = attackersOf(square, side).sort(function(first, second) {
+        return exchangeValue(board[first]) - exchangeValue(board[second]);
+      });
+
+      for (let index = 0; index < attackers.length; index++) {
+        let move = encodeMove(attackers[index], square, board[attackers[index]], board[square], 1);
+
+        // pinned piece or king walking into an attack
+        if (makeMove(move) == 0) continue;
+
+        let gain = exchangeValue(getTargetPiece(move)) - seeSquare(square);
+        takeBack();
+        return Math.max(0, gain);
+      }
+
+      return 0;
+    }
+
+    // material won by the move (side to move), negative if it loses the moving piece, quiet moves too
+    function see(move) {
+      if (move == 0 || makeMove(move) == 0) return 0;
+
+      let gain = exchangeValue(getTargetPiece(move)) - seeSquare(getTargetSquare(move));
+      takeBack();
+      return gain;
+    }
+
+    /*
+        Hanging pieces of both sides: en prise if the opponent wins
+        material capturing it, underdefended if it has more attackers
+        than defenders but can't be won right away.
+
+          [{ square: 'e6', piece: 'C', attackers: ['e9'], defenders: [], gain: 285, status: 'en prise' }]
+    */
+
+    // hanging pieces of both sides
+    function hangingPieces() {
+      let pieces = [];
+
+      for (let color = RED; color <= BLACK; color++) {
+        let squares = pieceList[color].slice();
+        let passed = (side == color);
+
+        // opponent to move
+        if (passed) makeNullMove();
+
+        for (let index = 0; index < squares.length; index++) {
+          let square = squares[index];
+          if (PIECE_TYPE[board[square]] == KING) continue;
+
+          let attackers = attackersOf(square, color ^ 1);
+          if (attackers.length == 0) continue;
+
+          let defenders = attackersOf(square, color);
+          let gain = seeSquare(square);
+          let status = '';
+
+          if (gain > 0) status = 'en prise';
+          else if (attackers.length > defenders.length) status = 'underdefended';
+          else continue;
+
+          pieces.push({
+            square: COORDINATES[square],
+            piece: PIECE_TO_CHAR[board[square]],
+            attackers: attackers.map(function(attacker) { return COORDINATES[attacker]; }),
+            defenders: defenders.map(function(defender) { return COORDINATES[defender]; }),
+            gain: gain,
+            status: status
+          });
         }
+
+        if (passed) takeNullMove();
+      }
+
+      return pieces;
+    }
+
+
+    /****************************\
+     ============================
+   
+              SKILL LEVEL
+
+     ============================              
+    \****************************/
+    
+    /*
+        Levels 0 - 19 play weaker and less predictably, 20 is full
+        strength. Weaker levels search no deeper than the level
+        allows, look at several candidate moves (MultiPV) and pick
+        one at random, moves scoring close to the best one are far
+        more likely. Now and then, the weaker the more often, any
+        candidate is played: a blunder, but one that looks plausible.
         
-        if (info.includes('mate') || info.includes('-49000')) break;
+        UCI_Elo maps linearly onto the levels, 800 is level 0 and
+        2400 full strength (rough estimates).
+    */
+    
+    // full strength level
+    const MAX_SKILL_LEVEL = 20;
+    
+    // Elo of level 0 and of full strength
+    const MIN_ELO = 800;
+    const MAX_ELO = 2400;
+    
+    // candidate moves of weaker levels
+    const SKILL_LINES = 5;
+    
+    // chance of a blunder per level below full strength
+    const BLUNDER_RATE = 0.01;
+    
+    // score loss per level below full strength that makes a move e times less likely
+    const SKILL_TEMPERATURE = 6;
+    
+    // current level
+    var skillLevel = MAX_SKILL_LEVEL;
+    
+    // set skill level (0 - 20)
+    function setSkillLevel(level) {
+      level = parseInt(level);
+      skillLevel = isNaN(level) ? MAX_SKILL_LEVEL : Math.min(Math.max(level, 0), MAX_SKILL_LEVEL);
+    }
+    
+    // skill level playing at about given Elo
+    function eloToSkillLevel(elo) {
+      let level = Math.round((elo - MIN_ELO) * MAX_SKILL_LEVEL / (MAX_ELO - MIN_ELO));
+      return Math.min(Math.max(level, 0), MAX_SKILL_LEVEL);
+    }
+    
+    // search depth allowed by the level
+    function skillDepth(depth) {
+      if (skillLevel == MAX_SKILL_LEVEL) return depth;
+      return Math.min(depth, 1 + (skillLevel >> 1));
+    }
+    
+    // number of lines to search
+    function skillLines(lines) {
+      if (skillLevel == MAX_SKILL_LEVEL) return lines;
+      return Math.max(lines, SKILL_LINES);
+    }
+    
+    // pick one of the candidates ({ move, score, pv }) of the last iteration
+    function pickSkillMove(candidates) {
+      let weakness = MAX_SKILL_LEVEL - skillLevel;
+      
+      // plausible blunder
+      if (Math.random() < weakness * BLUNDER_RATE)
+        return candidates[Math.floor(Math.random() * candidates.length)];
+      
+      // eval weighted choice
+      let bestScore = Math.max.apply(null, candidates.map(function(candidate) { return candidate.score; }));
+      let weights = candidates.map(function(candidate) {
+        return Math.exp((candidate.score - bestScore) / (weakness * SKILL_TEMPERATURE));
+      });
+      
+      let pick = Math.random() * weights.reduce(function(sum, weight) { return sum + weight; }, 0);
+      
+      for (let index = 0; index < candidates.length; index++) {
+        pick -= weights[index];
+        if (pick <= 0) return candidates[index];
       }
+      
+      return candidates[0];
+    }
 
-      let bestMove = (timing.stopped == 1) ? lastBestMove: pvTable[0];
-      console.log('bestmove ' + moveToString(bestMove));
-      return bestMove;
+
+    /****************************\
+     ============================
+
+              MATE SOLVER
+
+     ============================
+    \****************************/
+
+    /*
+        Exact search for forced mates, unlike the alpha-beta
+        search it proves the result: a position is mate in N
+        if some move leaves every reply mate in N - 1.
+        Stalemate loses in Xiangqi, so it counts as mate.
+        A root that is mated already has nothing to prove:
+        mate 0 and no move, same as no mate found.
+    */
+
+    // proven results by hash key: { lock: hash lock, mate: mates within, noMate: no mate within } moves
+    var mateTable = new Map();
+
+    // limit proven results kept in memory
+    const MATE_TABLE_SIZE = 1000000;
+
+    // mating side tries only checking moves
+    var mateChecksOnly = 0;
+
+    // proven result of the position, undefined for another position sharing the hash key
+    function readMateEntry() {
+      let entry = mateTable.get(hashKey);
+      return (entry && entry.lock == hashLock) ? entry : undefined;
+    }
+
+    // store proven result for side to move
+    function storeMateResult(moves, mate) {
+      let entry = readMateEntry();
+
+      if (entry == undefined) {
+        if (mateTable.size >= MATE_TABLE_SIZE) mateTable.clear();
+        entry = { lock: hashLock, mate: Infinity, noMate: 0 };
+        mateTable.set(hashKey, entry);
+      }
+
+      if (mate) entry.mate = Math.min(entry.mate, moves);
+      else entry.noMate = Math.max(entry.noMate, moves);
+    }
+
+    // legal moves of the mating side, checks first
+    function mateMoves() {
+      let checks = [];
+      let quietMoves = [];
+      let moveList = generateMoves(ALL_MOVES);
+
+      for (let count = 0; count < moveList.length; count++) {
+        let move = moveList[count].move;
+        if (searchPly == 0 && isSkippedRootMove(move)) continue;
+        if (makeMove(move) == 0) continue;
+
+        if (isSquareAttacked(kingSquare[side], side ^ 1)) checks.push(move);
+        else if (mateChecksOnly == 0) quietMoves.push(move);
+
+        takeBack();
+      }
+
+      return checks.concat(quietMoves);
+    }
+
+    // side to move mates within given number of moves
+    function mateIn(moves) {
+      nodes++;
+
+      if((nodes & 2047 ) == 0) checkTime();
+      if (timing.stopped == 1) return 0;
+
+      let entry = readMateEntry();
+      if (entry && entry.mate <= moves) return 1;
+      if (entry && entry.noMate >= moves) return 0;
+
+      let moveList = mateMoves();
+      let mate = 0;
+
+      for (let count = 0; count < moveList.length && mate == 0; count++) {
+        makeMove(moveList[count]);
+        mate = isMatedWithin(moves - 1);
+        takeBack();
+      }
+
+      // an interrupted search or a filtered root proves nothing
+      if (timing.stopped == 0 && (searchPly || isRootFiltered() == 0)) storeMateResult(moves, mate);
+      return mate;
+    }
+
+    // side to move gets mated within given number of opponent moves whatever it plays
+    function isMatedWithin(moves) {
+      let moveList = generateMoves(ALL_MOVES);
+
+      for (let count = 0; count < moveList.length; count++) {
+        if (searchPly == 0 && isSkippedRootMove(moveList[count].move)) continue;
+        if (makeMove(moveList[count].move) == 0) continue;
+        let escaped = (moves == 0) || mateIn(moves) == 0;
+        takeBack();
+
+        if (escaped) return 0;
+      }
+
+      // checkmate or stalemate
+      return 1;
+    }
+
+    // fewest moves side to move needs to mate, 0 if more than given number
+    function mateDistance(maxMoves) {
+      for (let moves = 1; moves <= maxMoves; moves++)
+        if (mateIn(moves)) return moves;
+
+      return 0;
+    }
+
+    // fewest opponent moves side to move gets mated in, 0 if more than given number
+    function matedDistance(maxMoves) {
+      for (let moves = 1; moves <= maxMoves; moves++)
+        if (isMatedWithin(moves)) return moves;
+
+      return 0;
+    }
+
+    // mating move keeping mate within given number of moves
+    function mateMove(moves) {
+      let moveList = mateMoves();
+
+      for (let count = 0; count < moveList.length; count++) {
+        makeMove(moveList[count]);
+        let mate = isMatedWithin(moves - 1);
+        takeBack();
+
+        if (mate) return moveList[count];
+      }
+
+      return 0;
+    }
+
+    // reply delaying mate the longest, opponent mates within given number of moves
+    function longestDefence(moves) {
+      let defence = { move: 0, moves: 0 };
+      let moveList = generateMoves(ALL_MOVES);
+
+      for (let count = 0; count < moveList.length; count++) {
+        if (searchPly == 0 && isSkippedRootMove(moveList[count].move)) continue;
+        if (makeMove(moveList[count].move) == 0) continue;
+        let distance = mateDistance(moves);
+        takeBack();
+
+        if (distance > defence.moves) {
+          defence.move = moveList[count].move;
+          defence.moves = distance;
+        }
+      }
+
+      return defence;
+    }
+
+    // forced line: shortest mate for the winner, longest defence for the loser
+    function mateLine(moves, winnerToMove) {
+      let line = [];
+
+      while (timing.stopped == 0) {
+        let move = 0;
+
+        if (winnerToMove) {
+          move = mateMove(moves);
+          moves--;
+        } else {
+          let defence = longestDefence(moves);
+          move = defence.move;
+          moves = defence.moves;
+        }
+
+        // mated
+        if (move == 0) break;
+
+        makeMove(move);
+        line.push(move);
+        winnerToMove ^= 1;
+      }
+
+      for (let count = 0; count < line.length; count++) takeBack();
+      return line;
+    }
+
+    // prove shortest mate within given number of moves for either side, root moves filtered as in search
+    function solveMate(maxMoves, checksOnly) {
+      let start = Date.now();
+      let line = [];
+      let mate = 0;
+
+      clearSearch();
+      mateTable = new Map();
+      mateChecksOnly = checksOnly ? 1 : 0;
+
+      // checkmated or stalemated root
+      let rootMoves = getRootMoves().length;
+
+      // side to move mates or gets mated (moves negative)
+      let moves = rootMoves ? mateDistance(maxMoves) : 0;
+
+      if (moves) {
+        mate = moves;
+        line = mateLine(moves, 1);
+      } else if (timing.stopped == 0 && rootMoves) {
+        moves = matedDistance(maxMoves);
+
+        if (moves) {
+          mate = -moves;
+          line = mateLine(moves, 0);
+        }
+      }
+
+      // interrupted before the line was complete
+      if (timing.stopped == 1) {
+        mate = 0;
+        line = [];
+      }
+
+      mateTable = new Map();
+
+      let time = Date.now() - start;
+      let result = {
+        mate: mate,
+        move: line[0] || 0,
+        bestmove: line.length ? moveToString(line[0]) : '',
+        pv: line.map(function(move) { return moveToString(move); }),
+        nodes: nodes,
+        time: time,
+        stopped: timing.stopped
+      };
+
+      if (mate) emit(infoListeners, {
+        depth: line.length,
+        seldepth: line.length,
+        multipv: 1,
+        scoreType: 'mate',
+        score: mate,
+        nodes: nodes,
+        nps: time ? Math.round(nodes * 1000 / time) : nodes,
+        time: time,
+        hashfull: hashFull(),
+        pv: result.pv
+      });
+
+      return result;
     }
 
 
     /****************************\
      ============================
    
+               BENCHMARK
+
+     ============================              
+    \****************************/
+    
+    // positions searched by the benchmark
+    const BENCH_FENS = [
+      START_FEN,
+      'r1ba1a3/4kn3/2n1b4/pNp1p1p1p/4c4/6P2/P1P2R2P/1CcC5/9/2BAKAB2 w - - 0 1',
+      'r2akabr1/9/1cn1b1n2/p1N1p3p/6pc1/2p6/P3P1P1P/1C2C1N2/5R3/R1BAKAB2 w - - 0 9',
+      '3akab2/1R1n5/4bcn2/p1Crp1p1p/2P6/6P2/P3P3P/B4C3/9/3AKAB2 w - - 1 16',
+      '4k1b2/2n2c3/4b4/p3p1P1p/3P5/9/P3P3P/B3C4/9/3AKAB2 w - - 4 31',
+      '3k1ab2/4a4/2n1bc3/p7p/2P1R4/2r3N2/P4R2P/4C3B/3rA4/3AK4 w - - 10 26',
+      '2bk1a3/4a2c1/1n7/p2r1P2p/9/6N2/P3R3P/6C1B/4A4/3AK4 w - - 11 46',
+      '3ak4/4a4/4b4/3R5/1Pb6/4p1B1p/1R2P2rr/9/4A4/4KA3 w - - 15 36'
+    ];
+    
+    // fixed depth search of bench positions, returns { depth, nodes, time, nps }
+    function benchmark(depth) {
+      let state = snapshot();
+      let timeControl = timing;
+      let listeners = [infoListeners, bestMoveListeners, currMoveListeners];
+      let totalNodes = 0;
+      let startTime = Date.now();
+      
+      console.log('   Benchmark:\n');
+      infoListeners = [];
+      bestMoveListeners = [];
+      currMoveListeners = [];
+      
+      for (let index = 0; index < BENCH_FENS.length; index++) {
+        setBoard(BENCH_FENS[index]);
+        initHashTable();
+        resetTimeControl();
+        
+        let bestMove = searchPosition(depth);
+        totalNodes += nodes;
+        
+        console.log('   position ' + (index + 1) + ((index < 9) ? ':  ': ': ') +
+                    moveToString(bestMove) + '    nodes: ' + nodes);
+      }
+      
+      let time = Date.now() - startTime;
+      let result = {
+        depth: depth,
+        nodes: totalNodes,
+        time: time,
+        nps: time ? Math.round(totalNodes * 1000 / time) : totalNodes
+      };
+      
+      // restore game & search settings
+      infoListeners = listeners[0];
+      bestMoveListeners = listeners[1];
+      currMoveListeners = listeners[2];
+      timing = timeControl;
+      restore(state);
+      
+      console.log('\n   Depth: ' + result.depth +
+                  '\n   Nodes: ' + result.nodes +
+                  '\n    Time: ' + result.time + ' ms' +
+                  '\n     NPS: ' + result.nps + '\n');
+      
+      return result;
+    }
+
+
+    /****************************\
+     ============================
+
                  INIT
 
      ============================              
@@ -1638,7 +3607,9 @@ var Engine = function() {
     // init engine
     (function initAll() {
       initRandomKeys();
+      initPieceScores();
       initHashTable();
+      setBoard(START_FEN);
     }());
     
     
@@ -1657,7 +3628,7 @@ var Engine = function() {
       //setBoard('rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1CC51/9/RNBAKABNR w - - 0 1');
       printBoard();
       //perftTest(4);
-      searchPosition(8);
+      console.log('bestmove ' + moveToString(searchPosition(8)));
     }
     
     return {
@@ -1685,31 +3656,57 @@ var Engine = function() {
       
       // perft
       perft: function(depth) { perftTest(depth); },
+      
+      // fixed depth search speed ({ depth, nodes, time, nps })
+      bench: function(depth) { return benchmark(depth); },
 
       // board methods
-      getBoard: function() { return board; },
-      getPiece: function(square) { return board[square]; },
-      getSide: function() { return side; },
-      getSixty: function() { return sixty; },
-      getHashKey: function() { return hashKey; },
-      getKingSquare: function() { return kingSquare; },
-      setPosition: function(position) { board = position; },
-      setSide: function(color) { side = color },
-      setSixty: function(val) { sixty = val; },
-      setKingSquare: function(arr) { kingSquare = arr; },
-      setHashKey: function(hash) { hashKey = hash},
       squareToString: function(square) { return COORDINATES[square]; },
       printBoard: function() { printBoard(); },
       setBoard: function(fen) { setBoard(fen); },
+      generateFen: function(dialect) { return generateFen(dialect); },
+      snapshot: function() { return snapshot(); },
+      restore: function(state) { restore(state); },
+      validateFen: function(fen) { return validateFen(fen); },
+      getPiece: function(square) { return board[square]; },
+      getSide: function() { return side; },
+      getSixty: function() { return sixty; },
       resetSearchPly: function() { searchPly = 0; },
       generateLegalMoves: function() { return generateLegalMoves(); },
       isRepetition: function() { return isRepetition(); },
+      countRepetitions: function() { return countRepetitions(); },
+      getRepetition: function() { return getRepetition(); },
+      getGameStatus: function() { return getGameStatus(); },
+      
+      // evaluation ({ score, red, black, squares }), see explainEvaluation()
+      evaluate: function() { return evaluate(); },
+      explainEvaluation: function() { return explainEvaluation(); },
+      quiescence: function() { return quiescenceScore(); },
+      getEvalParams: function() { return getEvalParams(); },
+      setEvalParams: function(params) { setEvalParams(params); },
+      setRuleset: function(rules) { setRuleset(rules); },
+      getRuleset: function() { return ruleset; },
       inCheck: function(color) { return isSquareAttacked(kingSquare[color], color ^ 1); },
+      attackersOf: function(square, color) { return attackersOf(square, color); },
+
+      // static exchange: material won by a move (encoded or 'h2e2') or by capturing on a square
+      see: function(move) { return see((typeof move == 'string') ? moveFromString(move) : move); },
+      seeSquare: function(square) { return seeSquare(square); },
+      hangingPieces: function() { return hangingPieces(); },
       
       // move manipulation
       moveStack: function () { return moveStack; },
       moveFromString: function(moveString) { return moveFromString(moveString); },
       moveToString: function(move) { return moveToString(move); },
+      moveToWxf: function(move) { return moveToWxf(move); },
+      moveToChinese: function(move, script) { return moveToChinese(move, script); },
+      
+      // 'uci', 'iccs', 'wxf', 'fullwidth', 'simplified' or 'traditional'
+      NOTATIONS: ['uci', 'iccs', 'wxf', 'fullwidth', 'simplified', 'traditional'],
+      moveToNotation: function(move, format) { return moveToNotation(move, format); },
+      moveFromNotation: function(text) { return moveFromNotation(text); },
+      gameNotation: function(format) { return gameNotation(format); },
+      legalMovesDetailed: function() { return legalMovesDetailed(); },
       getSourceSquare: function(move) { return getSourceSquare(move); },
       getTargetSquare: function(move) { return getTargetSquare(move); },
       getCaptureFlag: function(move) { return getCaptureFlag(move); },
@@ -1724,11 +3721,39 @@ var Engine = function() {
       resetTimeControl: function() { resetTimeControl(); },
       setTimeControl: function(timeControl) { setTimeControl(timeControl); },
       getTimeControl: function() { return JSON.parse(JSON.stringify(timing))},
+      setStopSignal: function(signal, id) { setStopSignal(signal, id); },
+      setSearchThread: function(index) { setSearchThread(index); },
       search: function(depth) { return searchPosition(depth) },
+      setMultiPv: function(lines) { setMultiPv(lines); },
+      
+      // weaker play: skill level 0 - 20 (20 is full strength) or about the given Elo
+      setSkillLevel: function(level) { setSkillLevel(level); },
+      setElo: function(elo) { setSkillLevel(eloToSkillLevel(elo)); },
+      getSkillLevel: function() { return skillLevel; },
+      eloToSkillLevel: function(elo) { return eloToSkillLevel(elo); },
+      setSearchMoves: function(moves) { setSearchMoves(moves); },
+      setBanMoves: function(moves) { setBanMoves(moves); },
+      
+      // { move, bestmove, scoreType, score, pv } among { include: [...] } or { exclude: [...] } root moves
+      searchRootMoves: function(depth, rootMoves) { return searchRootMoves(depth, rootMoves || {}); },
+      
+      // { move, bestmove, scoreType, score, pv, threatened, material } the opponent threatens, null in check
+      findThreat: function(depth) { return findThreat(depth); },
+
+      // { mate, move, bestmove, pv, nodes, time, stopped }, mate < 0 if side to move gets mated, 0 if no mate within
+      solveMate: function(moves, checksOnly) { return solveMate(moves, checksOnly); },
+      
+      // search info ({ depth, seldepth, multipv, scoreType, score, nodes, nps, time, hashfull, pv })
+      onInfo: function(callback) { infoListeners.push(callback); },
+      onBestMove: function(callback) { bestMoveListeners.push(callback); },
+      onCurrMove: function(callback) { currMoveListeners.push(callback); },
+      infoToString: function(info) { return infoToString(info); },
       
       // uci
       setHashSize: function(Mb) { setHashSize(Mb); },
+      setHashBuffer: function(buffer) { setHashBuffer(buffer); },
       initHashTable: function() { initHashTable(); },
+      probeHash: function() { return probeHash(); },
       
       // debug engine
       debug: function() { debug(); }
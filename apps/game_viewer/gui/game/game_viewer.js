@@ -104,17 +104,16 @@ function drawBoard() {
 function highlightMoves(square) {  
   if (document.getElementById('showMoves').checked == false) return;
   
-  let legalMoves = engine.generateLegalMoves();
+  let legalMoves = engine.legalMovesDetailed();
   
   for (let count = 0; count < legalMoves.length; count++) {
-    let move = legalMoves[count].move;
-    let sourceSquare = engine.getSourceSquare(move);
-    let targetSquare = engine.getTargetSquare(move);
-    if (square == sourceSquare) {
-      let parent = document.getElementById(targetSquare);
+    let move = legalMoves[count];
+    
+    if (square == move.source) {
+      let parent = document.getElementById(move.target);
       parent.style.backgroundImage = 'url("game/images/misc/legal_move.png")';
       parent.style.opacity = '0.50';
-      if (parent.childNodes.length) {
+      if (move.capture) {
         parent.childNodes[0].style.opacity = '0.5';
         parent.style.opacity = '1';
         parent.style.backgroundImage = 'url("game/images/misc/legal_capture.png")';
@@ -158,6 +157,7 @@ var guiPv = '';
 var guiSide = 0;
 var userTime = 0;
 var gameResult = '*';
+var gameReason = '';
 var guiFen = '';
 
 // difficulty
@@ -169,9 +169,6 @@ var clickLock = 0;
 var allowBook = 1;
 var userSource, userTarget;
 
-// 3 fold repetitions
-var repetitions = 0;
-
 // pick piece handler
 function dragPiece(event, square) {
   userSource = square;
@@ -274,18 +271,11 @@ function getBookMove() {
 
 // check for game state
 function isGameOver() {
-  if (engine.isRepetition()) repetitions++;
-  if (engine.generateLegalMoves().length == 0) {
-    gameResult = (engine.getSide() ? '1-0' : '0-1') + ' mate';
-    return 1;
-  }
-
-  if (engine.generateLegalMoves().length == 0) {
-    gameResult = (engine.getSide() ? '1-0' : '0-1') + ' mate';
-    return 1;
-  }
+  let status = engine.getGameStatus();
   
-  return 0;
+  gameResult = status.result;
+  gameReason = status.reason;
+  return (status.result == '*') ? 0 : 1;
 }
 
 // engine move
@@ -324,22 +314,32 @@ function think() {
   }, 0);
 }
 
+// attach thinking time (user move) or search stats (bot move) to the move just played
+function storeMoveStats() {
+  let moveStack = engine.moveStack();
+  let lastMove = moveStack[moveStack.length - 1];
+  let userMove = userTime != 0;
+
+  lastMove.score = userMove ? 0 : guiScore;
+  lastMove.depth = userMove ? 0 : guiDepth;
+  lastMove.time = userMove ? Date.now() - userTime : guiTime;
+  lastMove.pv = userMove ? '' : guiPv;
+}
+
 // move piece in GUI
 function movePiece(userSource, userTarget) {
   let moveString = engine.squareToString(userSource) +
                    engine.squareToString(userTarget);
+  let plies = engine.moveStack().length;
 
   if (isGameOver() == 0) engine.loadMoves(moveString);
+  if (engine.moveStack().length > plies) storeMoveStats();
   drawBoard();
 }
 
 // update board
 function updateBoard() {
-  engine.setPosition(JSON.parse(moveStack.moves[moveStack.count].position));
-  engine.setSide(moveStack.moves[moveStack.count].side);
-  engine.setSixty(moveStack.moves[moveStack.count].sixty);
-  engine.setHashKey(moveStack.moves[moveStack.count].hashKey);
-  engine.setKingSquare(JSON.parse(moveStack.moves[moveStack.count].kingSquare));
+  engine.restore(moveStack.moves[moveStack.count].state);
   drawBoard();
   let move = moveStack.moves[moveStack.count].move;
   let targetSquare = engine.getTargetSquare(move);
@@ -430,11 +430,8 @@ function updatePgn() {
   
   gameMoves.value = pgn;
   
-  if (gameResult == '1-0 Mate' || gameResult == '0-1 Mate') {
-    gameMoves.value += '# ' + gameResult;
-  } else if (gameResult != '*') {
-    gameMoves.value += ' ' + gameResult;
-  }
+  if (gameResult != '*')
+    gameMoves.value += ((gameReason == 'mate') ? '# ' : ' ') + gameResult + ' {' + gameReason + '}';
   
   gameMoves.scrollTop = gameMoves.scrollHeight;
 }
@@ -516,21 +513,17 @@ function newGame(id) {
   guiDepth = 0;
   guiTime = 0;
   guiPv = '';
-  gameResult = '';
+  gameResult = '*';
+  gameReason = '';
   userTime = 0;
   allowBook = 1;
   engine.setBoard(engine.START_FEN);
   document.getElementById('pgn').value = '  Red: ' + Games[id].red +
                                          '\nBlack: ' + Games[id].black +
                                          '\nEvent: ' + Games[id].event;
-  repetitions = 0;
   moveStack.moves.push({
     'move': 0,
-    'position': JSON.stringify(engine.getBoard()),
-    'side': engine.getSide(),
-    'sixty': engine.getSixty(),
-    'hashKey': engine.getHashKey(),
-    'kingSquare': JSON.stringify(engine.getKingSquare())
+    'state': engine.snapshot()
   });
     
   let moves = Games[id].moves.split(' ');
@@ -542,11 +535,7 @@ function newGame(id) {
     
     moveStack.moves.push({
       'move': encodedMove, 
-      'position': JSON.stringify(engine.getBoard()),
-      'side': engine.getSide(),
-      'sixty': engine.getSixty(),
-      'hashKey': engine.getHashKey(),
-      'kingSquare': JSON.stringify(engine.getKingSquare())
+      'state': engine.snapshot()
     });
     
     moveStack.count++;
@@ -1,18 +1,18 @@
 /*
   Puzzle Mini-map Coach (Browser-only)
   - Ultra-light overlay: only renders a mini-map + bestmove label.
-  - Auto-analyzes (no buttons) and is rate-limited to keep UI smooth.
+  - Auto-analyzes (no buttons) on its own background engine (EngineWorker).
   - Designed for apps/puzzle_solver.
 
   Notes:
-  - engine.search() is synchronous; keep the time budget short.
+  - Search runs in a Web Worker, a newer position cancels the running search.
   - Analyze mainly when it's RED to move (most puzzles are "w").
 */
 
 (function () {
   'use strict';
 
-  if (typeof window.engine === 'undefined') {
+  if (typeof window.engine === 'undefined' || typeof window.EngineWorker === 'undefined') {
     console.warn('[PuzzleCoach] engine not found.');
     return;
   }
@@ -30,9 +30,12 @@
   // IMPORTANT for puzzles: side-to-move can be RED or BLACK.
   // So we ALWAYS analyze for the current side to move.
   const COACH_ONLY_WHEN_RED_TO_MOVE = false;
-  const SEARCH_TIME_SECONDS = 0.12;   // ~120ms
-  const SEARCH_DEPTH = 18;            // fallback
-  const MIN_INTERVAL_MS = 220;        // rate limit
+  const SEARCH_TIME_SECONDS = 1.0;    // runs in a worker, board stays responsive
+  const SEARCH_DEPTH = 18;            // max depth
+  const DEBOUNCE_MS = 220;            // merge rapid position changes
+
+  // background search engine (separate from the bot's one)
+  const searcher = new window.EngineWorker();
 
   // --- canvas setup ---
   const ctx = elCanvas.getContext('2d', { alpha: true, desynchronized: true });
@@ -49,8 +52,6 @@
   }
 
   // --- helpers ---
-  const PIECE_TO_CHAR = ['.', 'P', 'A', 'B', 'N', 'C', 'R', 'K', 'p', 'a', 'b', 'n', 'c', 'r', 'k'];
-
   function sideName() {
     try {
       if (window.engine.getSide && window.engine.COLOR) {
@@ -105,20 +106,11 @@
     };
   }
 
-  const coordToSquare = (function buildMap() {
-    const map = Object.create(null);
-    for (let sq = 0; sq < 11 * 14; sq++) {
-      const c = window.engine.squareToString(sq);
-      if (c && c !== 'xx') map[c] = sq;
-    }
-    return map;
-  })();
-
-  function pieceAt(coord) {
-    const sq = coordToSquare[coord];
-    if (typeof sq === 'undefined') return '.';
-    const p = window.engine.getPiece(sq);
-    return PIECE_TO_CHAR[p] || '.';
+  // Board as rows of piece chars from the FEN: rows[0] is rank 9, '.' for empty
+  function getBoardRows() {
+    return window.engine.generateFen().split(' ')[0].split('/').map((row) => {
+      return row.replace(/\d/g, (empty) => '.'.repeat(Number(empty))).split('');
+    });
   }
 
   function cellToXY(file, row, W, H) {
@@ -155,12 +147,11 @@
   function drawPieces(W, H) {
     const r = Math.max(2.5, Math.min(6, Math.min(W / 60, H / 60)));
 
-    // Traverse ranks: top (9) -> bottom (0)
-    for (let rank = 9; rank >= 0; rank--) {
-      const row = 9 - rank;
+    // Rows: top (rank 9) -> bottom (rank 0)
+    const rows = getBoardRows();
+    for (let row = 0; row <= 9; row++) {
       for (let file = 0; file < 9; file++) {
-        const coord = String.fromCharCode('a'.charCodeAt(0) + file) + String(rank);
-        const pch = pieceAt(coord);
+        const pch = rows[row][file];
         if (pch === '.') continue;
         const pos = cellToXY(file, row, W, H);
         ctx.beginPath();
@@ -244,28 +235,9 @@
   }
 
   // --- search helpers ---
-  function timedSearch(depth, seconds) {
-    try {
-      if (typeof window.engine.resetTimeControl === 'function' &&
-          typeof window.engine.getTimeControl === 'function' &&
-          typeof window.engine.setTimeControl === 'function') {
-        window.engine.resetTimeControl();
-        const timing = window.engine.getTimeControl();
-        const start = Date.now();
-        timing.timeSet = 1;
-        timing.time = Math.max(0.25, seconds) * 1000;
-        timing.stopTime = start + timing.time;
-        window.engine.setTimeControl(timing);
-      }
-    } catch (_) {}
-
-    return window.engine.search(depth);
-  }
-
-  function moveToUcci(move) {
-    const s = window.engine.squareToString(window.engine.getSourceSquare(move));
-    const t = window.engine.squareToString(window.engine.getTargetSquare(move));
-    return s + t;
+  function searchBestMove() {
+    searcher.position(window.guiFen || window.engine.START_FEN, window.engine.getMoves());
+    return searcher.go({ depth: SEARCH_DEPTH, movetime: SEARCH_TIME_SECONDS * 1000 });
   }
 
   function currentMoveCount() {
@@ -277,22 +249,20 @@
     }
   }
 
-  let lastAnalyzeTs = 0;
   let lastMoveCount = -1;
   let pendingTimer = null;
   let lastBestUcci = '';
+  let analyzeId = 0;
 
   function analyzeNow(reason) {
-    // avoid too frequent analysis
-    const now = Date.now();
-    if (now - lastAnalyzeTs < MIN_INTERVAL_MS && reason !== 'force') return;
-    lastAnalyzeTs = now;
+    const id = ++analyzeId;
 
     // policy: (legacy) optionally skip BLACK-to-move analysis.
     // For puzzles we keep this OFF so both sides get hints.
     if (COACH_ONLY_WHEN_RED_TO_MOVE) {
       try {
         if (window.engine.getSide && window.engine.COLOR && window.engine.getSide() === window.engine.COLOR.BLACK) {
+          searcher.cancel();
           lastBestUcci = '';
           render('');
           return;
@@ -302,34 +272,20 @@
 
     elLabel.textContent = (sideName() ? (sideName() + ' đang phân tích…') : 'Đang phân tích…');
 
-    const run = () => {
-      let best = 0;
-      try {
-        best = timedSearch(SEARCH_DEPTH, SEARCH_TIME_SECONDS);
-        if (!best) {
-          const moves = window.engine.generateLegalMoves();
-          best = (moves && moves.length) ? moves[0].move : 0;
-        }
-      } catch (e) {
-        best = 0;
-      }
-
-      if (best) {
-        lastBestUcci = moveToUcci(best);
-        render(lastBestUcci);
-      } else {
-        lastBestUcci = '';
-        render('');
-      }
-    };
-
-    if (window.requestIdleCallback) {
-      window.requestIdleCallback(run, { timeout: 250 });
-    } else {
-      setTimeout(run, 0);
-    }
+    lastBestUcci = '';
+    searchBestMove().then((best) => {
+      // cancelled by a newer position
+      if (id !== analyzeId || !best) return;
+      lastBestUcci = best;
+      render(lastBestUcci);
+    });
   }
 
+  // show the current best line while the worker keeps searching
+  searcher.onInfo((info) => {
+    if (info.pv && info.pv.length) render(info.pv[0]);
+  });
+
   function scheduleAnalyze(reason) {
     const n = currentMoveCount();
     if (n === lastMoveCount && reason !== 'force') return;
@@ -340,9 +296,7 @@
       pendingTimer = null;
     }
 
-    const now = Date.now();
-    const wait = Math.max(0, MIN_INTERVAL_MS - (now - lastAnalyzeTs));
-    pendingTimer = setTimeout(() => analyzeNow(reason), wait);
+    pendingTimer = setTimeout(() => analyzeNow(reason), DEBOUNCE_MS);
   }
 
   // --- hook lifecycle ---
@@ -9,6 +9,9 @@
 // init engine
 var engine = new Engine();
 
+// init background search (keeps the board responsive while thinking)
+var searcher = new EngineWorker();
+
 // run in browser mode  
 console.log('\n  Wukong JS - BROWSER MODE - v' + engine.VERSION);
 console.log('  type "engine" for public API reference');
@@ -26,6 +29,11 @@ var book = [];
 var botName = '';
 var currentPuzzleId = '';
 
+// moves to mate in current puzzle, replies are proven longest defences
+const MAX_PUZZLE_MATE = 4;
+var puzzleMate = MAX_PUZZLE_MATE;
+var mateNote = '';
+
 
 /****************************\
  ============================
@@ -105,17 +113,16 @@ function drawBoard() {
 function highlightMoves(square) {  
   //if (document.getElementById('showMoves').checked == false) return;
   
-  let legalMoves = engine.generateLegalMoves();
+  let legalMoves = engine.legalMovesDetailed();
   
   for (let count = 0; count < legalMoves.length; count++) {
-    let move = legalMoves[count].move;
-    let sourceSquare = engine.getSourceSquare(move);
-    let targetSquare = engine.getTargetSquare(move);
-    if (square == sourceSquare) {
-      let parent = document.getElementById(targetSquare);
+    let move = legalMoves[count];
+    
+    if (square == move.source) {
+      let parent = document.getElementById(move.target);
       parent.style.backgroundImage = 'url("game/images/misc/legal_move.png")';
       parent.style.opacity = '0.50';
-      if (parent.childNodes.length) {
+      if (move.capture) {
         parent.childNodes[0].style.opacity = '0.5';
         parent.style.opacity = '1';
         parent.style.backgroundImage = 'url("game/images/misc/legal_capture.png")';
@@ -158,6 +165,7 @@ var guiPv = '';
 var guiSide = 0;
 var userTime = 0;
 var gameResult = '*';
+var gameReason = '';
 var guiFen = '';
 
 // difficulty
@@ -169,9 +177,6 @@ var clickLock = 0;
 var allowBook = 1;
 var userSource, userTarget;
 
-// 3 fold repetitions
-var repetitions = 0;
-
 // pick piece handler
 function dragPiece(event, square) {
   userSource = square;
@@ -279,24 +284,11 @@ function getBookMove() {
 
 // check for game state
 function isGameOver() {
-  if (engine.isRepetition()) repetitions++;
-  if (repetitions >= 3) {
-    gameResult = '3 fold repetition ' + (engine.getSide() ? 'black' : 'red') + ' lost';
-    return 1;
-  } else if (engine.generateLegalMoves().length == 0) {
-    gameResult = (engine.getSide() ? '1-0' : '0-1') + ' mate';
-    return 1;
-  } else if (engine.getSixty() >= 120) {
-    gameResult = '1/2-1/2 Draw by 60 rule move';
-    return 1;
-  } // TODO: material draw?
-
-  if (engine.generateLegalMoves().length == 0) {
-    gameResult = (engine.getSide() ? '1-0' : '0-1') + ' mate';
-    return 1;
-  }
+  let status = engine.getGameStatus();
   
-  return 0;
+  gameResult = status.result;
+  gameReason = status.reason;
+  return (status.result == '*') ? 0 : 1;
 }
 
 // engine move
@@ -314,21 +306,9 @@ function think() {
   }
   
   //if (document.getElementById('editMode').checked == true) return;
-  engine.resetTimeControl();
-
-  let timing = engine.getTimeControl();
-  let startTime = new Date().getTime();
-  
-  if (fixedTime) {
-    fixedDepth = 64;
-    timing.timeSet = 1;
-    timing.time = fixedTime * 1000;
-    timing.stopTime = startTime + timing.time
-    engine.setTimeControl(timing);
-  }
+  if (fixedTime) fixedDepth = 64;
   
   let bookMoveFlag = 0;
-  let delayMove = 0;
   let bestMove = getBookMove();
 
   if (botName == 'Baihua') {
@@ -337,10 +317,54 @@ function think() {
     } catch(e) {}
   } else {
     if (bestMove) bookMoveFlag = 1;
-    else if (bestMove == 0) bestMove = engine.search(fixedDepth);
+    else if (bestMove == 0) { searchMove(); return; }
   }
   
+  playMove(bestMove, bookMoveFlag);
+}
+
+// search engine move in background
+function searchMove() {
+  let position = engine.getMoves().join(' ');
+  let limits = fixedTime ? { movetime: fixedTime * 1000 } : { depth: fixedDepth };
+  limits.mate = puzzleMate;
+  
+  searcher.position(guiFen || engine.START_FEN, position);
+  searcher.go(limits).then(function(bestMove) {
+    // search was cancelled or position has changed meanwhile
+    if (bestMove == '' || engine.getMoves().join(' ') != position) return;
+    playMove(engine.moveFromString(bestMove), 0);
+  });
+}
+
+// stop engine from moving
+function cancelThinking() {
+  searcher.cancel();
+}
+
+// update stats from search info
+function updateStats(info) {
+  if (info.scoreType == 'mate') guiScore = 'M' + Math.abs(info.score);
+  else guiScore = -info.score;
+  
+  guiDepth = info.depth;
+  guiTime = info.time;
+  guiPv = info.pv.join(' ') + ' ';
+}
+
+searcher.onInfo(updateStats);
+
+// wrong move, the engine defends with a normal search
+searcher.onNoMate(function(moves) {
+  mateNote = 'no forced mate within ' + moves + ' move(s) any more';
+  updatePgn();
+});
+
+// make engine move on board
+function playMove(bestMove, bookMoveFlag) {
   if (bestMove == 0) return;
+  
+  let delayMove = 0;
   if (bookMoveFlag || fixedDepth || typeof(guiScore) == 'string') delayMove = 1000;
   
   let sourceSquare = engine.getSourceSquare(bestMove);
@@ -369,18 +393,33 @@ function think() {
   }, delayMove);
 }
 
+// attach thinking time (user move) or search stats (bot move) to the move just played
+function storeMoveStats() {
+  let moveStack = engine.moveStack();
+  let lastMove = moveStack[moveStack.length - 1];
+  let userMove = userTime != 0;
+
+  lastMove.score = userMove ? 0 : guiScore;
+  lastMove.depth = userMove ? 0 : guiDepth;
+  lastMove.time = userMove ? Date.now() - userTime : guiTime;
+  lastMove.pv = userMove ? '' : guiPv;
+}
+
 // move piece in GUI
 function movePiece(userSource, userTarget) {
   let moveString = engine.squareToString(userSource) +
                    engine.squareToString(userTarget);
+  let plies = engine.moveStack().length;
 
   if (isGameOver() == 0) engine.loadMoves(moveString);
   else updatePgn();
+  if (engine.moveStack().length > plies) storeMoveStats();
   drawBoard();
 }
 
 // take move back
 function undo() {
+  cancelThinking();
   gameResult = '*';
   try {
     engine.takeBack();
@@ -444,11 +483,10 @@ function updatePgn() {
   
   gameMoves.value = pgn;
   
-  if (gameResult == '1-0 Mate' || gameResult == '0-1 Mate') {
-    gameMoves.value += '# ' + gameResult;
-  } else if (gameResult != '*') {
-    gameMoves.value += ' ' + gameResult;
-  }
+  if (gameResult != '*')
+    gameMoves.value += ((gameReason == 'mate') ? '# ' : ' ') + gameResult + ' {' + gameReason + '}';
+  
+  if (mateNote) gameMoves.value += '\n' + mateNote;
   
   gameMoves.scrollTop = gameMoves.scrollHeight;
 }
@@ -478,7 +516,7 @@ function downloadPgn() {
   downloadLink.id = 'download';
   downloadLink.download = ((userColor == 'White') ? (userName + '_vs_' + botName + '.pgn') : (botName + '_vs_' + userName + '.pgn'));
   downloadLink.hidden = true;
-  downloadLink.href = window.URL.createObjectURL( new Blob([header + getGamePgn() + ((gameResult == '*') ? ' *' : '')], {type: 'text'}));
+  downloadLink.href = window.URL.createObjectURL( new Blob([header + getGamePgn() + gameResult], {type: 'text'}));
   document.body.appendChild(downloadLink);
   downloadLink.click();
   downloadLink.remove();
@@ -514,30 +552,43 @@ function initPuzzles() {
 
 // set puzzle
 function setPuzzle(puzzleId) {
+  cancelThinking();
   flip = 0;
   guiScore = 0;
   guiDepth = 0;
   guiTime = 0;
   guiPv = '';
-  gameResult = '';
+  gameResult = '*';
+  gameReason = '';
   userTime = 0;
   allowBook = 1;
+  puzzleMate = MAX_PUZZLE_MATE;
+  mateNote = '';
   
   let puzzle;
   if (puzzleId) {
     currentPuzzleId = parseInt(puzzleId.split('_')[1]);
     puzzle = Puzzles[currentPuzzleId];
     engine.setBoard(puzzle.fen);
+    guiFen = puzzle.fen;
+    puzzleMate = parseInt(puzzle.title.replace('Mate in ', '')) || MAX_PUZZLE_MATE;
     document.getElementById('pgn').value = 'puzzle #' + (currentPuzzleId + 1) + ': ' + puzzle.title + '\n' + puzzle.description;
   } else {
     let fen = document.getElementById('fen').value;
+    let error = engine.validateFen(fen);
+    
+    if (error) {
+      document.getElementById('pgn').value = 'Invalid FEN: ' + error;
+      return;
+    }
+    
     engine.setBoard(fen);
+    guiFen = fen;
     document.getElementById('pgn').value = 'Custom puzzle';
   }
   
   if (engine.getSide() == engine.COLOR['BLACK']) flipBoard();
   drawBoard();
-  repetitions = 0;
 }
 
 
@@ -258,7 +258,7 @@ var Engine = function() {
       'P': RED_PAWN,
       'A': RED_ADVISOR,
       'B': RED_BISHOP, 'E': RED_BISHOP,
-      'N': RED_KNIGHT, 'H': RED_BISHOP,
+      'N': RED_KNIGHT, 'H': RED_KNIGHT,
       'C': RED_CANNON,
       'R': RED_ROOK,
       'K': RED_KING,
@@ -0,0 +1,92 @@
+/****************************\
+ ============================
+      UCI FOR ANY BUILD
+ ============================
+\****************************/
+
+/*
+    Minimal synchronous UCI front-end for any copy of
+    wukong.js in the repo, so older builds can play
+    matches against src/engine/uci.js:
+
+      node build-uci.js ../integration/engine/wukong.js
+
+    Older builds print their own "info" and "bestmove"
+    lines from search(), newer ones report through
+    onInfo() / onBestMove().
+*/
+
+const path = require('path');
+const BUILD = path.resolve(process.argv[2] || path.join(__dirname, '..', 'src', 'engine', 'wukong.js'));
+const { Engine } = require(BUILD);
+const engine = new Engine();
+
+// newer builds search silently
+if (engine.onBestMove) {
+  engine.onInfo(function(info) { console.log(engine.infoToString(info)); });
+  engine.onBestMove(function(result) { console.log('bestmove ' + (result.bestmove || '(none)')); });
+}
+
+// parse UCI "position" command
+function parsePosition(tokens) {
+  let movesIndex = tokens.indexOf('moves');
+  if (movesIndex == -1) movesIndex = tokens.length;
+
+  engine.setBoard((tokens[1] == 'fen') ? tokens.slice(2, movesIndex).join(' ') : engine.START_FEN);
+  if (movesIndex < tokens.length - 1) engine.loadMoves(tokens.slice(movesIndex + 1).join(' '));
+}
+
+// parse UCI "go" command
+function parseGo(tokens) {
+  let limits = { wtime: -1, btime: -1, winc: 0, binc: 0, movestogo: 30, movetime: 0, depth: 64 };
+
+  for (let index = 1; index < tokens.length - 1; index++)
+    if (limits[tokens[index]] != undefined) limits[tokens[index]] = parseInt(tokens[++index]);
+
+  let red = (engine.getSide() == engine.COLOR.RED);
+  let time = red ? limits.wtime : limits.btime;
+  let inc = red ? limits.winc : limits.binc;
+
+  if (limits.movetime) {
+    time = limits.movetime;
+    limits.movestogo = 1;
+    inc = 0;
+  }
+
+  engine.resetTimeControl();
+  let timing = engine.getTimeControl();
+
+  if (time != -1) {
+    let timeTotal = time - 50;
+    let moveTime = parseInt(timeTotal / limits.movestogo + inc);
+    if (inc > 0 && timeTotal < 5 * inc) moveTime = parseInt(75 * inc / 100);
+
+    timing.timeSet = 1;
+    timing.time = time;
+    timing.stopTime = Date.now() + Math.max(moveTime, 1);
+  }
+
+  engine.setTimeControl(timing);
+  engine.search(limits.depth);
+}
+
+// UCI loop
+require('readline').createInterface({ input: process.stdin, terminal: false }).on('line', function(command) {
+  let tokens = command.trim().split(/\s+/);
+
+  switch (tokens[0]) {
+    case 'uci':
+      console.log('id name WukongJS ' + engine.VERSION + ' (' + path.relative(path.join(__dirname, '..'), BUILD) + ')');
+      console.log('id author Code Monkey King');
+      console.log('option name Hash type spin default 16 min 4 max 128');
+      console.log('uciok');
+      break;
+
+    case 'isready': console.log('readyok'); break;
+    case 'ucinewgame': engine.initHashTable(); break;
+    case 'setoption': if (tokens[2] == 'Hash') engine.setHashSize(parseInt(tokens[4])); break;
+    case 'position': parsePosition(tokens); break;
+    case 'go': parseGo(tokens); break;
+    case 'quit': process.exit();
+  }
+});
@@ -0,0 +1,600 @@
+/****************************\
+ ============================
+         MATCH RUNNER
+ ============================
+\****************************/
+
+/*
+    Engine-vs-engine matches through UCI, e.g. the
+    current engine against an older copy of wukong.js:
+
+      node match.js --engine1 ../src/engine/uci.js \
+                    --engine2 ../integration/engine/wukong.js \
+                    --tc 10+0.1 --games 200 --sprt 0,10
+
+    See README.md for all options.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { Engine } = require('../src/engine/wukong.js');
+const { Adjudicator } = require('../src/engine/adjudication.js');
+
+// default settings
+const DEFAULTS = {
+  engine1: path.join(__dirname, '..', 'src', 'engine', 'uci.js'),
+  engine2: path.join(__dirname, '..', 'src', 'engine', 'uci.js'),
+  name1: '',
+  name2: '',
+  option: [],
+  option1: [],
+  option2: [],
+  book: path.join(__dirname, '..', 'opening_book_generator', 'opening_book.txt'),
+  plies: 8,
+  games: 0,
+  tc: '',
+  movetime: 0,
+  depth: 0,
+  margin: 100,
+  maxplies: 400,
+  ruleset: 'asian',
+  resign: 900,
+  resignmoves: 0,
+  draw: 10,
+  drawmoves: 0,
+  drawply: 60,
+  knowndraws: 1,
+  pgn: 'match.pgn',
+  sprt: ''
+};
+
+// options that may be given more than once
+const LIST_ARGS = ['option', 'option1', 'option2'];
+
+// engine must answer "uci" / "isready" within this time (ms)
+const STARTUP_TIMEOUT = 10000;
+
+// extra wait for a move on top of the clock before the engine is restarted (ms)
+const MOVE_TIMEOUT = 5000;
+
+// PGN termination of games ended by the runner, the engine's rules end them "normal"
+const PGN_TERMINATION = {
+  'time forfeit': 'time forfeit',
+  'illegal move': 'rules infraction',
+  'no move': 'abandoned',
+  'move limit': 'adjudication',
+  'resignation': 'adjudication',
+  'draw agreed': 'adjudication',
+  'known draw': 'adjudication'
+};
+
+
+/****************************\
+ ============================
+
+          SETTINGS
+
+ ============================
+\****************************/
+
+// parse "--name value" arguments
+function parseArgs(argv) {
+  let settings = JSON.parse(JSON.stringify(DEFAULTS));
+
+  for (let index = 0; index < argv.length; index++) {
+    let name = argv[index].replace(/^--/, '');
+
+    if (name == 'help' || DEFAULTS[name] == undefined) {
+      if (name != 'help') console.log('Unknown argument: ' + argv[index]);
+      console.log('Usage: node match.js [--engine1 CMD] [--engine2 CMD] [--tc 10+0.1 | --movetime MS | --depth N] ...');
+      console.log('See match_runner/README.md for all options.');
+      process.exit(name == 'help' ? 0 : 1);
+    }
+
+    let value = argv[++index];
+    if (LIST_ARGS.includes(name)) settings[name].push(value);
+    else settings[name] = (typeof DEFAULTS[name] == 'number') ? parseFloat(value) : value;
+  }
+
+  return settings;
+}
+
+// parse "60+0.5" (seconds) into { base, inc } in ms
+function parseTimeControl(tc) {
+  if (tc == '') return null;
+
+  let fields = tc.split('+');
+  return {
+    base: Math.round(parseFloat(fields[0]) * 1000),
+    inc: Math.round(parseFloat(fields[1] || 0) * 1000)
+  };
+}
+
+// parse "elo0,elo1[,alpha,beta]"
+function parseSprt(sprt) {
+  if (sprt == '') return null;
+
+  let fields = sprt.split(',').map(parseFloat);
+  return {
+    elo0: fields[0] || 0,
+    elo1: fields[1] || 5,
+    alpha: fields[2] || 0.05,
+    beta: fields[3] || 0.05
+  };
+}
+
+// load openings: first N plies of every book line, illegal or repeated lines skipped
+function loadOpenings(file, plies) {
+  let referee = new Engine();
+  let openings = [];
+  let lines = fs.readFileSync(file).toString().split('\n');
+
+  for (let index = 0; index < lines.length; index++) {
+    let moves = lines[index].replace(/['",]/g, ' ').trim().split(/\s+/).slice(0, plies);
+    if (moves[0] == '') continue;
+
+    referee.setBoard(referee.START_FEN);
+    if (moves.every(function(move) { return playMove(referee, move); }) == false) continue;
+    if (openings.some(function(opening) { return opening.join(' ') == moves.join(' '); })) continue;
+
+    openings.push(moves);
+  }
+
+  if (openings.length == 0) openings.push([]);
+  return openings;
+}
+
+
+/****************************\
+ ============================
+
+          UCI ENGINE
+
+ ============================
+\****************************/
+
+// engine command: *.js file runs with node, wukong.js builds through build-uci.js
+function engineCommand(spec) {
+  if (path.basename(spec) == 'wukong.js')
+    return { command: process.execPath, args: [path.join(__dirname, 'build-uci.js'), path.resolve(spec)] };
+
+  if (spec.endsWith('.js'))
+    return { command: process.execPath, args: [path.resolve(spec)] };
+
+  return { command: spec, args: [], shell: true };
+}
+
+var UciEngine = function(spec, name, options) {
+  // engine process
+  var child = null;
+
+  // pending wait for a line, { test, resolve, timer }
+  var waiting = null;
+
+  // options advertised by the engine (lower case)
+  var optionNames = [];
+
+  // score of the last search, { type: 'cp' | 'mate', value } or null
+  var score = null;
+
+  // start engine process and send options
+  function start() {
+    let command = engineCommand(spec);
+
+    let engineProcess = spawn(command.command, command.args, {
+      cwd: command.shell ? process.cwd() : path.dirname(command.args[0]),
+      shell: command.shell || false,
+      stdio: ['pipe', 'pipe', 'inherit']
+    });
+
+    // a restarted engine's old process may exit later
+    engineProcess.on('exit', function() {
+      if (child != engineProcess) return;
+      child = null;
+      if (waiting) resolveWait(null);
+    });
+
+    child = engineProcess;
+    readline.createInterface({ input: child.stdout }).on('line', onLine);
+
+    send('uci');
+    return waitFor('uciok', STARTUP_TIMEOUT).then(function(tokens) {
+      if (tokens == null) throw new Error('engine "' + spec + '" did not answer "uci"');
+
+      for (let index = 0; index < options.length; index++) {
+        let option = options[index].split('=');
+        send('setoption name ' + option[0] + ' value ' + option.slice(1).join('='));
+      }
+
+      return isReady();
+    });
+  }
+
+  // handle engine output
+  function onLine(line) {
+    let tokens = line.trim().split(/\s+/);
+
+    if (tokens[0] == 'id' && tokens[1] == 'name' && name == '') name = tokens.slice(2).join(' ');
+    if (tokens[0] == 'option' && tokens[1] == 'name')
+      optionNames.push(line.split(' name ')[1].split(' type ')[0].trim().toLowerCase());
+    if (tokens[0] == 'info') readScore(tokens);
+
+    if (waiting && tokens[0] == waiting.test) resolveWait(tokens);
+  }
+
+  // keep score of the main line from "info ... score cp 25 ..."
+  function readScore(tokens) {
+    let multipv = tokens.indexOf('multipv');
+    let index = tokens.indexOf('score');
+
+    if (index == -1 || (multipv != -1 && tokens[multipv + 1] != '1')) return;
+    if (tokens[index + 1] != 'cp' && tokens[index + 1] != 'mate') return;
+
+    let value = parseInt(tokens[index + 2]);
+    if (!isNaN(value)) score = { type: tokens[index + 1], value: value };
+  }
+
+  // wait for a line starting with given token, resolves with its tokens or null on timeout
+  function waitFor(test, timeout) {
+    return new Promise(function(resolve) {
+      waiting = {
+        test: test,
+        resolve: resolve,
+        timer: setTimeout(function() { resolveWait(null); }, timeout)
+      };
+    });
+  }
+
+  // finish pending wait
+  function resolveWait(tokens) {
+    let wait = waiting;
+    waiting = null;
+    clearTimeout(wait.timer);
+    wait.resolve(tokens);
+  }
+
+  // send command to the engine
+  function send(command) {
+    if (child) child.stdin.write(command + '\n');
+  }
+
+  // synchronize with the engine
+  function isReady() {
+    send('isready');
+    return waitFor('readyok', STARTUP_TIMEOUT).then(function(tokens) {
+      if (tokens == null) throw new Error('engine "' + name + '" did not answer "isready"');
+    });
+  }
+
+  // search position, resolves with the move string or null if no move came in time
+  function go(moves, goCommand, timeout) {
+    score = null;
+    send('position startpos' + (moves.length ? ' moves ' + moves.join(' ') : ''));
+    send(goCommand);
+
+    return waitFor('bestmove', timeout).then(function(tokens) {
+      return tokens ? tokens[1] : null;
+    });
+  }
+
+  // stop engine process
+  function quit() {
+    if (child == null) return;
+
+    let engineProcess = child;
+    send('quit');
+    setTimeout(function() { engineProcess.kill(); }, 500);
+  }
+
+  // kill unresponsive engine and start it again
+  function restart() {
+    if (child) child.kill();
+    child = null;
+    return start();
+  }
+
+  return {
+    start: function() { return start(); },
+    restart: function() { return restart(); },
+    newGame: function() { send('ucinewgame'); return isReady(); },
+    go: function(moves, goCommand, timeout) { return go(moves, goCommand, timeout); },
+    getScore: function() { return score; },
+    hasOption: function(option) { return optionNames.includes(option.toLowerCase()); },
+    setOption: function(option, value) { send('setoption name ' + option + ' value ' + value); },
+    getName: function() { return name; },
+    quit: function() { quit(); }
+  }
+}
+
+
+/****************************\
+ ============================
+
+            GAMES
+
+ ============================
+\****************************/
+
+// play legal move on referee board, returns 0 for illegal moves
+function playMove(referee, moveString) {
+  let move = /^[a-i][0-9][a-i][0-9]$/.test(moveString || '') ? referee.moveFromString(moveString) : 0;
+  let legalMoves = referee.generateLegalMoves();
+
+  if (move == 0 || legalMoves.every(function(legalMove) { return legalMove.move != move; })) return 0;
+
+  referee.loadMoves(moveString);
+  return 1;
+}
+
+// UCI "go" command for the side to move
+function goCommand(settings, clocks) {
+  if (settings.timeControl)
+    return 'go wtime ' + Math.max(clocks[0], 1) + ' btime ' + Math.max(clocks[1], 1) +
+           ' winc ' + settings.timeControl.inc + ' binc ' + settings.timeControl.inc;
+
+  if (settings.movetime) return 'go movetime ' + settings.movetime;
+  return 'go depth ' + (settings.depth || 8);
+}
+
+// play one game, engines[0] plays red
+async function playGame(settings, engines, opening) {
+  let referee = new Engine();
+  let moves = [];
+  let clocks = settings.timeControl ? [settings.timeControl.base, settings.timeControl.base] : [0, 0];
+  let result = null;
+  let adjudicator = new Adjudicator({
+    resignScore: settings.resign,
+    resignMoves: settings.resignmoves,
+    drawScore: settings.draw,
+    drawMoves: settings.drawmoves,
+    drawPly: settings.drawply,
+    knownDraws: settings.knowndraws != 0
+  });
+
+  referee.setRuleset(settings.ruleset);
+  referee.setBoard(referee.START_FEN);
+  for (let index = 0; index < opening.length; index++) playMove(referee, opening[index]);
+  moves = opening.slice();
+
+  for (let index = 0; index < engines.length; index++) await engines[index].newGame();
+
+  // side to move loses
+  function loss(side, reason) {
+    return { result: (side == referee.COLOR.RED) ? '0-1' : '1-0', reason: reason };
+  }
+
+  while (result == null) {
+    let status = referee.getGameStatus();
+
+    if (status.result != '*') {
+      result = { result: status.result, reason: status.reason };
+      break;
+    }
+
+    let adjudication = adjudicator.check(referee.generateFen(), moves.length);
+
+    if (adjudication) {
+      result = { result: adjudication.result, reason: adjudication.reason };
+      break;
+    }
+
+    if (moves.length >= settings.maxplies) {
+      result = { result: '1/2-1/2', reason: 'move limit' };
+      break;
+    }
+
+    let side = referee.getSide();
+    let timeout = (settings.timeControl ? clocks[side] : (settings.movetime || 60000)) + MOVE_TIMEOUT;
+    let start = Date.now();
+    let move = await engines[side].go(moves, goCommand(settings, clocks), timeout);
+
+    if (settings.timeControl) {
+      clocks[side] -= Date.now() - start;
+
+      if (clocks[side] + settings.margin < 0) {
+        result = loss(side, 'time forfeit');
+        if (move == null) await engines[side].restart();
+        break;
+      }
+
+      clocks[side] += settings.timeControl.inc;
+    }
+
+    if (move == null) {
+      result = loss(side, 'no move');
+      await engines[side].restart();
+    } else if (playMove(referee, move) == 0) result = loss(side, 'illegal move');
+    else {
+      let score = engines[side].getScore();
+      if (score) adjudicator.addScore(side, score.type, score.value);
+      moves.push(move);
+    }
+  }
+
+  return { moves: moves, result: result.result, reason: result.reason };
+}
+
+
+/****************************\
+ ============================
+
+             PGN
+
+ ============================
+\****************************/
+
+// format game as PGN
+function gameToPgn(settings, game, round, red, black) {
+  let date = new Date();
+  let pgn = '[Event "Wukong match"]\n' +
+            '[Site "' + os.hostname() + '"]\n' +
+            '[Date "' + date.getFullYear() + '.' +
+                        ('0' + (date.getMonth() + 1)).slice(-2) + '.' +
+                        ('0' + date.getDate()).slice(-2) + '"]\n' +
+            '[Round "' + round + '"]\n' +
+            '[White "' + red + '"]\n' +
+            '[Black "' + black + '"]\n' +
+            '[Result "' + game.result + '"]\n' +
+            '[Variant "xiangqi"]\n' +
+            '[TimeControl "' + (settings.tc || '-') + '"]\n' +
+            '[Termination "' + (PGN_TERMINATION[game.reason] || 'normal') + '"]\n' +
+            '[PlyCount "' + game.moves.length + '"]\n\n';
+
+  let line = '';
+
+  for (let index = 0; index < game.moves.length; index++) {
+    let moveString = ((index % 2) ? '' : ((index / 2 + 1) + '. ')) + game.moves[index];
+
+    if (line.length + moveString.length > 79) {
+      pgn += line.trim() + '\n';
+      line = '';
+    }
+
+    line += moveString + ' ';
+  }
+
+  return pgn + line + '{' + game.reason + '} ' + game.result + '\n\n';
+}
+
+
+/****************************\
+ ============================
+
+          STATISTICS
+
+ ============================
+\****************************/
+
+// error function (Abramowitz and Stegun 7.1.26)
+function erf(x) {
+  let sign = (x < 0) ? -1 : 1;
+  let t = 1 / (1 + 0.3275911 * Math.abs(x));
+  let y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return sign * y;
+}
+
+// logistic Elo <-> expected score
+function eloToScore(elo) { return 1 / (1 + Math.pow(10, -elo / 400)); }
+function scoreToElo(score) { return -400 * Math.log10(1 / score - 1); }
+
+// Elo difference with 95% error margin, likelihood of superiority and SPRT log-likelihood ratio
+function getStats(wins, losses, draws, sprt) {
+  let games = wins + losses + draws;
+  let score = games ? (wins + draws / 2) / games : 0.5;
+  let variance = games ? (wins * Math.pow(1 - score, 2) +
+                          losses * Math.pow(score, 2) +
+                          draws * Math.pow(0.5 - score, 2)) / games : 0;
+
+  let stats = {
+    games: games,
+    score: score,
+    elo: scoreToElo(score),
+    margin: 0,
+    los: (wins + losses) ? 0.5 * (1 + erf((wins - losses) / Math.sqrt(2 * (wins + losses)))) : 0.5,
+    llr: 0
+  };
+
+  if (variance > 0) {
+    let deviation = 1.96 * Math.sqrt(variance / games);
+    stats.margin = (scoreToElo(Math.min(score + deviation, 0.9999)) -
+                    scoreToElo(Math.max(score - deviation, 0.0001))) / 2;
+
+    if (sprt) {
+      let score0 = eloToScore(sprt.elo0);
+      let score1 = eloToScore(sprt.elo1);
+      stats.llr = (score1 - score0) * (2 * score - score0 - score1) * games / (2 * variance);
+    }
+  }
+
+  if (sprt) {
+    stats.lower = Math.log(sprt.beta / (1 - sprt.alpha));
+    stats.upper = Math.log((1 - sprt.beta) / sprt.alpha);
+  }
+
+  return stats;
+}
+
+// format statistics
+function statsToString(stats, sprt) {
+  let elo = isFinite(stats.elo) ? stats.elo.toFixed(1) : (stats.elo > 0 ? '+inf' : '-inf');
+
+  return 'Elo: ' + elo + ' +/- ' + stats.margin.toFixed(1) +
+         ', LOS: ' + (stats.los * 100).toFixed(1) + '%' +
+         (sprt ? ', LLR: ' + stats.llr.toFixed(2) +
+                 ' (' + stats.lower.toFixed(2) + ', ' + stats.upper.toFixed(2) + ')' +
+                 ' [' + sprt.elo0 + ', ' + sprt.elo1 + ']' : '');
+}
+
+
+/****************************\
+ ============================
+
+            MATCH
+
+ ============================
+\****************************/
+
+async function main() {
+  let settings = parseArgs(process.argv.slice(2));
+  settings.timeControl = parseTimeControl(settings.tc);
+  let sprt = parseSprt(settings.sprt);
+  let openings = loadOpenings(settings.book, settings.plies);
+  let games = settings.games || openings.length * 2;
+
+  let engines = [
+    UciEngine(settings.engine1, settings.name1, settings.option.concat(settings.option1)),
+    UciEngine(settings.engine2, settings.name2, settings.option.concat(settings.option2))
+  ];
+
+  for (let index = 0; index < engines.length; index++) {
+    await engines[index].start();
+    if (engines[index].hasOption('Ruleset')) engines[index].setOption('Ruleset', settings.ruleset);
+  }
+
+  let names = [engines[0].getName(), engines[1].getName()];
+  if (names[0] == names[1]) names = [names[0] + ' (1)', names[1] + ' (2)'];
+
+  console.log(names[0] + ' vs ' + names[1] + ', ' + games + ' games, ' + openings.length + ' openings');
+  fs.writeFileSync(settings.pgn, '');
+
+  // results from engine1 point of view
+  let wins = 0, losses = 0, draws = 0;
+
+  for (let round = 0; round < games; round++) {
+    // every opening is played twice with colors reversed
+    let opening = openings[Math.floor(round / 2) % openings.length];
+    let first = round % 2;
+    let players = [engines[first], engines[first ^ 1]];
+    let game = await playGame(settings, players, opening);
+
+    if (game.result == '1/2-1/2') draws++;
+    else if ((game.result == '1-0') == (first == 0)) wins++;
+    else losses++;
+
+    fs.appendFileSync(settings.pgn, gameToPgn(settings, game, round + 1, names[first], names[first ^ 1]));
+
+    let stats = getStats(wins, losses, draws, sprt);
+
+    console.log(
+      'Game ' + (round + 1) + '/' + games + ': ' +
+      names[first] + ' vs ' + names[first ^ 1] + ' ' +
+      game.result + ' {' + game.reason + '}'
+    );
+
+    console.log('Score: ' + wins + ' - ' + losses + ' - ' + draws + ', ' + statsToString(stats, sprt));
+
+    if (sprt && stats.llr >= stats.upper) { console.log('SPRT: H1 accepted'); break; }
+    if (sprt && stats.llr <= stats.lower) { console.log('SPRT: H0 accepted'); break; }
+  }
+
+  for (let index = 0; index < engines.length; index++) engines[index].quit();
+  console.log('Games saved to ' + settings.pgn);
+}
+
+main().catch(function(error) {
+  console.log(error.message);
+  process.exit(1);
+});
@@ -28,10 +28,11 @@ for (let count = 0; count < games.length; count++) {
     // convert game to UCI format
     let moveList = games[count];
     let moves = moveList.split(' ');
-    let uciMoves = parser.gameToUCI(moves);
+    let uciMoves;
     
     // skip malformed games (optional)
-    if (uciMoves.includes('xxxx')) continue;
+    try { uciMoves = parser.gameToUCI(moves); }
+    catch (error) { console.log('Skipping game:', error.message); continue; }
     
     // info
     gameNumber++;
@@ -2,9 +2,12 @@
 const fs = require("fs");
 
 // init engine
-const Engine = require('./wukong').Engine;
+const Engine = require('../src/engine/wukong').Engine;
 const engine = new Engine();
 
+// longest mate to look for
+const MAX_MATE_MOVES = 4;
+
 // convert game to UCI format
 let games = fs.readFileSync('games.pgn').toString().split('\n\n');
 
@@ -23,23 +26,23 @@ function generatePuzzles() {
       engine.setBoard(engine.START_FEN);
       engine.loadMoves(moves);
       
-      let output = engine.search(8);
+      // game ended in mate: start before the mating move
+      if (engine.generateLegalMoves().length == 0) engine.takeBack();
+      
+      // side to move in check: start before the checking move
+      if (engine.inCheck(engine.getSide())) engine.takeBack();
+      
+      let solution = engine.solveMate(MAX_MATE_MOVES);
       
-      if(output[1].includes('mate')) {
-        if (engine.inCheck(engine.getSide())) {
-          engine.takeBack();
-          tookBack = 1;
-        }
+      if (solution.mate) {
+        // losing side to move: play its longest defence
+        if (solution.mate < 0) engine.loadMoves(solution.bestmove);
         
         engine.printBoard();
-        let fen = generateFen();
+        let fen = engine.generateFen();
         
         let puzzle = {
-          title: output[1].split('info score ')[1]
-                          .split(' depth')[0]
-                          .replace('-', '')
-                          .replace(' ', ' in ')
-                          .replace('m', 'M') + ' move(s)',
+          title: 'Mate in ' + Math.abs(solution.mate) + ' move(s)',
 
           description: description,
           fen: fen
@@ -51,38 +54,6 @@ function generatePuzzles() {
   }
 }
 
-// generate FEN string
-function generateFen() {
-  let pieces = [0, 'P', 'A', 'B', 'N', 'C', 'R', 'K', 'p', 'a', 'b', 'n', 'c', 'r', 'k'];
-  let fen = '';
-  
-  for (let rank = 0; rank < 14; rank++) {
-    let empty = 0;
-    
-    for (let file = 0; file < 11; file++) {
-      let square = rank * 11 + file;
-
-      if (engine.getPiece(square) != 15) {
-        let piece = engine.getPiece(square);
-        
-        if (piece == 0) empty++;
-        if (piece) {
-          fen += (empty ? empty : '') + pieces[piece];
-          empty = 0;
-        }
-      }
-    }
-    
-    if (empty) fen += empty;
-    empty = 0;
-    if (rank > 1 && rank < 11) fen += '/'
-  }
-
-  fen += ' ' + (engine.getSide() ? 'b' : 'w');
-  fen += ' ' + '- - 0 1'
-  return fen;
-}
-
 // main driver
 generatePuzzles();
 fs.writeFileSync('puzzles.json', JSON.stringify(puzzles,  null, 2));
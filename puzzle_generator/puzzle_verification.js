@@ -2,9 +2,12 @@
 const fs = require("fs");
 
 // init engine
-const Engine = require('./wukong').Engine;
+const Engine = require('../src/engine/wukong').Engine;
 const engine = new Engine();
 
+// longest mate to look for
+const MAX_MATE_MOVES = 4;
+
 // load games
 let games = JSON.parse(fs.readFileSync('puzzles.json').toString());
 
@@ -20,73 +23,47 @@ function verifyPuzzles() {
     game.id = 'puzzle_' + count;
     game.title = verifiedPuzzle.title;
     game.fen = verifiedPuzzle.fen;
+    game.unique = verifiedPuzzle.unique;
+    game.solution = verifiedPuzzle.solution;
   }  
 }
 
 // solve puzzle
 function solvePuzzle(fen) {
   let result = {};
-  let moves = [];
   
   engine.setBoard(fen);
-  let puzzleSide = engine.getSide()
-
-  let bestMove = engine.search(8)[0];
+  let solution = engine.solveMate(MAX_MATE_MOVES);
   
-  while (bestMove) {
-    engine.makeMove(bestMove);
-    moves.push(bestMove);
-    bestMove = engine.search(8)[0];
-  }
+  if (solution.mate < 0) {
+    console.log('FIXING PUZZLE...');
+    engine.loadMoves(solution.bestmove);
+    solution.mate = -solution.mate;
+    solution.pv = solution.pv.slice(1);
+    solution.bestmove = solution.pv[0];
+  } else if (solution.mate) console.log('PUZZLE IS OK!');
   
-  let winningSide = engine.getSide() ^ 1;  
+  result.fen = engine.generateFen();
+  result.solution = solution.pv;
   
-  if (puzzleSide == winningSide) {
-    console.log('PUZZLE IS OK!');
-    result.title = 'Mate in ' + Math.round(moves.length / 2) + ' move(s)';
-    result.fen = fen;
-  } else {
-    console.log('FIXING PUZZLE...');
-    console.log(puzzleSide);
-    engine.setBoard(fen);
-    engine.makeMove(moves[0]);
-    result.title = 'Mate in ' + Math.round((moves.length - 1) / 2) + ' move(s)';
-    result.fen = generateFen();
+  if (solution.mate == 0) {
+    console.log('NO MATE WITHIN', MAX_MATE_MOVES, 'MOVES');
+    result.title = 'Mate in ? moves';
+    result.unique = false;
+    return result;
   }
-
-  return result;
-}
-
-// generate FEN string
-function generateFen() {
-  let pieces = [0, 'P', 'A', 'B', 'N', 'C', 'R', 'K', 'p', 'a', 'b', 'n', 'c', 'r', 'k'];
-  let fen = '';
   
-  for (let rank = 0; rank < 14; rank++) {
-    let empty = 0;
-    
-    for (let file = 0; file < 11; file++) {
-      let square = rank * 11 + file;
-
-      if (engine.getPiece(square) != 15) {
-        let piece = engine.getPiece(square);
-        
-        if (piece == 0) empty++;
-        if (piece) {
-          fen += (empty ? empty : '') + pieces[piece];
-          empty = 0;
-        }
-      }
-    }
-    
-    if (empty) fen += empty;
-    empty = 0;
-    if (rank > 1 && rank < 11) fen += '/'
-  }
+  result.title = 'Mate in ' + solution.mate + ' move(s)';
+  
+  // no other first move may mate as fast
+  engine.setBanMoves([solution.bestmove]);
+  let alternative = engine.solveMate(solution.mate);
+  engine.setBanMoves([]);
+  
+  result.unique = (alternative.mate <= 0);
+  if (result.unique == false) console.log('ALTERNATIVE SOLUTION:', alternative.pv.join(' '));
 
-  fen += ' ' + (engine.getSide() ? 'b' : 'w');
-  fen += ' ' + '- - 0 1'
-  return fen;
+  return result;
 }
 
 // main driver
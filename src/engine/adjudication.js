@@ -0,0 +1,178 @@
+/************************************************\
+ ================================================
+
+               WUKONG ADJUDICATION
+
+      ends games early by the engines' scores
+           or by known drawn endgames
+
+ ================================================
+\************************************************/
+
+/*
+    let adjudicator = new Adjudicator({ resignScore: 900, resignMoves: 3 });
+    adjudicator.addScore(engine.getSide(), 'cp', -950);   // score of the side that moved
+    adjudicator.check(engine.generateFen(), plies);
+
+    check() returns null while the game goes on, else
+
+      { result: '1-0' | '0-1' | '1/2-1/2',
+        winner: RED | BLACK | NO_COLOR,
+        reason: 'resignation', 'draw agreed', 'known draw' }
+
+    Scores are in engine units (pawn = 30) from the point of view of
+    the side that searched, mate scores count as won or lost.
+    A rule is turned off by setting its moves to 0.
+*/
+
+// colors, same as the engine
+const ADJUDICATION_RED = 0;
+const ADJUDICATION_BLACK = 1;
+const ADJUDICATION_NO_COLOR = 2;
+
+// default thresholds
+const ADJUDICATION_DEFAULTS = {
+  resignScore: 900,     // a side resigns at this score or worse ...
+  resignMoves: 3,       // ... for this many of its moves in a row
+  drawScore: 10,        // draw when every reported score is within this margin ...
+  drawMoves: 8,         // ... for this many moves of each side ...
+  drawPly: 60,          // ... but not before this ply
+  knownDraws: true      // draw endgames neither side can win
+};
+
+var Adjudicator = function(options) {
+  // thresholds
+  var settings = Object.assign({}, ADJUDICATION_DEFAULTS, options || {});
+
+  // scores of red & black moves, latest last
+  var scores = [[], []];
+
+  // forget scores (new game, take back)
+  function reset() {
+    scores = [[], []];
+  }
+
+  // store score of a move, scoreType is 'cp' or 'mate'
+  function addScore(color, scoreType, score) {
+    if (scoreType == 'mate') score = (score > 0) ? Infinity : -Infinity;
+    scores[color].push(score);
+  }
+
+  // last moves' scores of a side, null if there are not enough
+  function lastScores(color, moves) {
+    if (moves <= 0 || scores[color].length < moves) return null;
+    return scores[color].slice(-moves);
+  }
+
+  // side that has been lost by its own scores for long enough
+  function resigningSide() {
+    for (let color = ADJUDICATION_RED; color <= ADJUDICATION_BLACK; color++) {
+      let last = lastScores(color, settings.resignMoves);
+      if (last && last.every(function(score) { return score <= -settings.resignScore; })) return color;
+    }
+
+    return ADJUDICATION_NO_COLOR;
+  }
+
+  // every side that reports scores sees a draw, sides without scores (humans) don't object
+  function isDrawAgreed(plies) {
+    if (settings.drawMoves <= 0 || plies < settings.drawPly) return 0;
+    let reported = 0;
+
+    for (let color = ADJUDICATION_RED; color <= ADJUDICATION_BLACK; color++) {
+      if (scores[color].length == 0) continue;
+
+      let last = lastScores(color, settings.drawMoves);
+      if (last == null || last.some(function(score) { return Math.abs(score) > settings.drawScore; })) return 0;
+      reported++;
+    }
+
+    return reported > 0;
+  }
+
+  /*
+      Known draws, read from the FEN board so any engine's games can be
+      judged. A side can't win without pieces crossing the river, with
+      a single pawn stuck on the last rank or with a lone cannon (nothing
+      to jump over) against a lone king. Both sides must be unable to win.
+  */
+
+  // pieces of both sides by type ('P', 'N', 'C', ...) with pawns on the last rank counted as 'L'
+  function countPieces(fen) {
+    let pieces = [{}, {}];
+    let rows = fen.split(' ')[0].split('/');
+
+    for (let row = 0; row < rows.length; row++) {
+      for (let index = 0; index < rows[row].length; index++) {
+        let letter = rows[row][index];
+        if (/[0-9]/.test(letter)) continue;
+
+        let color = (letter == letter.toUpperCase()) ? ADJUDICATION_RED : ADJUDICATION_BLACK;
+        let type = letter.toUpperCase().replace('H', 'N').replace('E', 'B');
+        let lastRank = (color == ADJUDICATION_RED) ? 0 : rows.length - 1;
+
+        if (type == 'P' && row == lastRank) type = 'L';
+        pieces[color][type] = (pieces[color][type] || 0) + 1;
+      }
+    }
+
+    return pieces;
+  }
+
+  // side can't force mate with what's left
+  function cannotWin(own, opponent) {
+    let attackers = ['P', 'L', 'N', 'C', 'R'].reduce(function(sum, type) { return sum + (own[type] || 0); }, 0);
+    let ownPieces = Object.keys(own).reduce(function(sum, type) { return sum + own[type]; }, 0);
+    let opponentPieces = Object.keys(opponent).reduce(function(sum, type) { return sum + opponent[type]; }, 0);
+
+    if (attackers == 0) return 1;
+    if (attackers == 1 && own['L']) return 1;
+    if (own['C'] == 1 && ownPieces == 2 && opponentPieces == 1) return 1;
+    return 0;
+  }
+
+  // neither side can win
+  function isKnownDraw(fen) {
+    let pieces = countPieces(fen);
+    return cannotWin(pieces[ADJUDICATION_RED], pieces[ADJUDICATION_BLACK]) &&
+           cannotWin(pieces[ADJUDICATION_BLACK], pieces[ADJUDICATION_RED]);
+  }
+
+  // adjudicate position after given number of plies
+  function check(fen, plies) {
+    let loser = resigningSide();
+
+    if (loser != ADJUDICATION_NO_COLOR)
+      return {
+        result: (loser == ADJUDICATION_RED) ? '0-1' : '1-0',
+        winner: loser ^ 1,
+        reason: 'resignation'
+      };
+
+    if (isDrawAgreed(plies))
+      return { result: '1/2-1/2', winner: ADJUDICATION_NO_COLOR, reason: 'draw agreed' };
+
+    if (settings.knownDraws && fen && isKnownDraw(fen))
+      return { result: '1/2-1/2', winner: ADJUDICATION_NO_COLOR, reason: 'known draw' };
+
+    return null;
+  }
+
+  return {
+    // thresholds
+    DEFAULTS: ADJUDICATION_DEFAULTS,
+    getSettings: function() { return Object.assign({}, settings); },
+    setSettings: function(options) { Object.assign(settings, options); },
+
+    // scores
+    reset: function() { reset(); },
+    addScore: function(color, scoreType, score) { addScore(color, scoreType, score); },
+
+    // null or { result, winner, reason }
+    check: function(fen, plies) { return check(fen, plies); },
+    isKnownDraw: function(fen) { return isKnownDraw(fen); }
+  }
+}
+
+// export as nodejs module
+if (typeof(exports) != 'undefined') exports.Adjudicator = Adjudicator;
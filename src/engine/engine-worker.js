@@ -0,0 +1,380 @@
+/************************************************\
+ ================================================
+
+                 WUKONG WORKER
+
+       asynchronous facade over the engine
+          running in a Web Worker (worker.js)
+
+ ================================================
+\************************************************/
+
+/*
+    let searcher = new EngineWorker();
+    searcher.setOption('MultiPV', 3);
+    searcher.onInfo(function(info) { console.log(info.multipv, info.depth, info.score, info.pv); });
+    searcher.position(engine.START_FEN, 'h2e2 h9g7');
+    searcher.go({ movetime: 2000 }).then(function(bestmove) { ... });
+    searcher.go({ depth: 10, banmoves: ['h2e2'] });    // also searchmoves: [...]
+    searcher.go({ mate: 3, depth: 6 });                 // proven mate, else a depth 6 search
+    searcher.onNoMate(function(moves) { console.log('no mate within', moves); });
+    searcher.setOption('UCI_Elo', 1200);               // weaker play, or 'Skill Level' 0 - 20
+    searcher.threat(4).then(function(threat) { ... }); // opponent's best move after a null move
+    searcher.stop();
+
+    go() resolves with the best move string ('h2e2') or ''
+    if the search was cancelled by a newer position() or go() call.
+    threat() resolves with engine.findThreat()'s result, null in check
+    or if the worker was restarted meanwhile.
+
+    searcher.setOption('Threads', 4) adds helper workers sharing
+    the hash table (Lazy SMP, same as uci.js). It needs a cross-origin
+    isolated page for SharedArrayBuffer, elsewhere one thread searches.
+*/
+
+// worker script lives next to this file
+const WORKER_URL = (typeof document != 'undefined' && document.currentScript) ?
+                    document.currentScript.src.replace(/engine-worker\.js.*$/, 'worker.js') :
+                    'worker.js';
+
+var EngineWorker = function(workerUrl) {
+  // worker instance (main search thread)
+  var worker = null;
+
+  // shared stop flag & hash table (only with cross-origin isolation)
+  var stopBuffer = null;
+  var hashBuffer = null;
+
+  // helper search threads
+  var helpers = [];
+
+  // engine state to replay after a restart
+  var options = {};
+  var lastPosition = null;
+
+  // search in progress
+  var searchId = 0;
+  var pending = null;
+
+  // threat request in progress
+  var pendingThreat = null;
+
+  // info listeners
+  var listeners = [];
+  var noMateListeners = [];
+
+  // start worker (falls back to a page engine if workers are unavailable)
+  function startWorker() {
+    let shared = typeof SharedArrayBuffer != 'undefined' && self.crossOriginIsolated;
+    finishThreat(null);
+
+    try {
+      worker = new Worker(workerUrl || WORKER_URL);
+    } catch(e) {
+      console.warn('[EngineWorker] workers unavailable, searching on the main thread');
+      worker = createPageWorker();
+      shared = false;
+    }
+
+    worker.onmessage = onMessage;
+
+    if (shared) {
+      stopBuffer = new SharedArrayBuffer(4);
+      worker.postMessage({ command: 'stopsignal', buffer: stopBuffer });
+      setHash(options.Hash || 16);
+    }
+
+    for (let name in options)
+      if (name != 'Hash' || hashBuffer == null)
+        worker.postMessage({ command: 'setoption', name: name, value: options[name] });
+
+    if (lastPosition) worker.postMessage(lastPosition);
+    setThreads(options.Threads || 1);
+  }
+
+  // start or stop helper workers to get the given number of search threads
+  function setThreads(count) {
+    if (stopBuffer == null) return;
+    count = Math.max(parseInt(count) || 1, 1);
+
+    while (helpers.length > count - 1) helpers.pop().terminate();
+
+    while (helpers.length < count - 1) {
+      let helper = new Worker(workerUrl || WORKER_URL);
+      helper.onmessage = onMessage;
+      helper.postMessage({ command: 'thread', index: helpers.length + 1 });
+      helper.postMessage({ command: 'stopsignal', buffer: stopBuffer });
+      helper.postMessage({ command: 'hashbuffer', buffer: hashBuffer });
+
+      for (let name in options)
+        if (name != 'Hash' && name != 'Threads')
+          helper.postMessage({ command: 'setoption', name: name, value: options[name] });
+
+      if (lastPosition) helper.postMessage(lastPosition);
+      helpers.push(helper);
+    }
+
+    // hash generations of old and new threads differ
+    postAll({ command: 'clearhash' });
+  }
+
+  // hash table shared by all search threads
+  function setHash(Mb) {
+    try {
+      hashBuffer = new SharedArrayBuffer(Math.max(parseInt(Mb) || 16, 1) * 0x100000);
+    } catch(e) {
+      console.warn('[EngineWorker] not enough memory for', Mb, 'Mb hash table');
+      return;
+    }
+
+    postAll({ command: 'hashbuffer', buffer: hashBuffer });
+  }
+
+  // send message to all search threads
+  function postAll(message) {
+    worker.postMessage(message);
+    for (let index = 0; index < helpers.length; index++) helpers[index].postMessage(message);
+  }
+
+  // same message protocol as worker.js, but running in the page
+  function createPageWorker() {
+    let pageEngine = new Engine();
+    let pageWorker = { onmessage: null, terminate: function() {} };
+    let pageSearchId = 0;
+    let pageError = '';
+
+    pageEngine.onInfo(function(info) {
+      pageWorker.onmessage({ data: { type: 'info', id: pageSearchId, info: info }});
+    });
+
+    pageWorker.postMessage = function(message) {
+      setTimeout(function() {
+        if (message.command == 'position') {
+          pageError = pageEngine.validateFen(message.fen || pageEngine.START_FEN);
+          if (pageError) return pageWorker.onmessage({ data: { type: 'error', message: 'Invalid FEN: ' + pageError }});
+
+          pageEngine.setBoard(message.fen || pageEngine.START_FEN);
+          if (message.moves) pageEngine.loadMoves(message.moves);
+        } else if (message.command == 'go' && pageError) {
+          pageWorker.onmessage({ data: { type: 'bestmove', id: message.id, bestmove: '' }});
+        } else if (message.command == 'go') {
+          pageSearchId = message.id;
+          pageEngine.setSearchMoves(message.searchmoves);
+          pageEngine.setBanMoves(message.banmoves);
+          pageEngine.resetTimeControl();
+          let timing = pageEngine.getTimeControl();
+
+          if (message.movetime) {
+            timing.timeSet = 1;
+            timing.time = message.movetime;
+            timing.stopTime = Date.now() + message.movetime;
+          }
+
+          pageEngine.setTimeControl(timing);
+          let solution = message.mate ? pageEngine.solveMate(message.mate) : null;
+
+          if (solution && solution.mate == 0)
+            pageWorker.onmessage({ data: { type: 'nomate', id: message.id, moves: message.mate }});
+
+          let bestMove = (solution && solution.mate) ? solution.move : pageEngine.search(message.depth || 64);
+          pageWorker.onmessage({ data: {
+            type: 'bestmove',
+            id: message.id,
+            bestmove: bestMove ? pageEngine.moveToString(bestMove) : ''
+          }});
+        } else if (message.command == 'setoption') {
+          if (message.name == 'Hash') pageEngine.setHashSize(message.value);
+          if (message.name == 'MultiPV') pageEngine.setMultiPv(message.value);
+          if (message.name == 'Ruleset') pageEngine.setRuleset(message.value);
+          if (message.name == 'EvalParams') pageEngine.setEvalParams(message.value);
+          if (message.name == 'Skill Level') pageEngine.setSkillLevel(message.value);
+          if (message.name == 'UCI_Elo') pageEngine.setElo(message.value);
+        } else if (message.command == 'threat') {
+          pageWorker.onmessage({ data: { type: 'threat', id: message.id, threat: pageEngine.findThreat(message.depth) }});
+        }
+      }, 0);
+    }
+
+    return pageWorker;
+  }
+
+  // dispatch worker messages
+  function onMessage(event) {
+    let message = event.data;
+    let thread = message.thread || 0;
+
+    if (message.type == 'error') {
+      console.warn('[EngineWorker]', message.message);
+      return;
+    }
+
+    if (message.type == 'threat') {
+      if (pendingThreat && message.id == pendingThreat.id) finishThreat(message.threat);
+      return;
+    }
+
+    if (pending == null || message.id != pending.id) return;
+
+    if (message.type == 'info') {
+      let info = message.info;
+      pending.nodes[thread] = info.nodes;
+
+      // deeper iteration of any thread takes over the PV, other lines follow it
+      if (info.multipv == 1 && info.depth > pending.bestDepth) {
+        pending.bestThread = thread;
+        pending.bestDepth = info.depth;
+      } else if (thread != pending.bestThread || info.depth != pending.bestDepth) return;
+
+      if (helpers.length) {
+        info = Object.assign({}, info, { nodes: pending.nodes.reduce(function(sum, nodes) { return sum + nodes; }, 0) });
+        info.nps = info.time ? Math.round(info.nodes * 1000 / info.time) : info.nodes;
+      }
+
+      if (info.multipv == 1) pending.lastInfo = info;
+      for (let index = 0; index < listeners.length; index++) listeners[index](info);
+    } else if (message.type == 'nomate') {
+      for (let index = 0; index < noMateListeners.length; index++) noMateListeners[index](message.moves);
+    } else if (message.type == 'bestmove') {
+      pending.results[thread] = message;
+
+      // main thread is done, helpers stop too
+      if (thread == 0 && helpers.length) Atomics.store(new Int32Array(stopBuffer), 0, pending.id);
+      if (pending.results.filter(Boolean).length <= helpers.length) return;
+
+      // proven mate of the main thread, else the deepest thread's move
+      let result = pending.results[0].mate ? pending.results[0] : pending.results[pending.bestThread];
+      finishSearch(result.bestmove || pending.results[0].bestmove);
+    }
+  }
+
+  // resolve pending search
+  function finishSearch(bestmove) {
+    let search = pending;
+    pending = null;
+    if (search) search.resolve(bestmove);
+  }
+
+  // resolve pending threat request
+  function finishThreat(threat) {
+    let request = pendingThreat;
+    pendingThreat = null;
+    if (request) request.resolve(threat);
+  }
+
+  // opponent's best move in the current position if the side to move passed
+  function threat(depth) {
+    finishThreat(null);
+
+    return new Promise(function(resolve) {
+      pendingThreat = { id: ++searchId, resolve: resolve };
+      worker.postMessage({ command: 'threat', id: searchId, depth: depth });
+    });
+  }
+
+  // set position from FEN string and moves (array or space separated string)
+  function position(fen, moves) {
+    if (Array.isArray(moves)) moves = moves.join(' ');
+    cancel();
+    lastPosition = { command: 'position', fen: fen, moves: moves || '' };
+    postAll(lastPosition);
+  }
+
+  // start search, resolves with the best move string
+  function go(limits) {
+    cancel();
+    limits = limits || {};
+
+    return new Promise(function(resolve) {
+      pending = {
+        id: ++searchId,
+        resolve: resolve,
+        lastInfo: null,
+        nodes: [],
+        results: [],
+        bestThread: 0,
+        bestDepth: 0
+      };
+
+      postAll({
+        command: 'go',
+        id: searchId,
+        depth: limits.depth,
+        movetime: limits.movetime,
+        mate: limits.mate,
+        searchmoves: limits.searchmoves,
+        banmoves: limits.banmoves
+      });
+    });
+  }
+
+  // interrupt search, pending go() resolves with the best move found so far
+  function stop() {
+    if (pending == null) return;
+
+    // worker stops searches with ids up to the flag value
+    if (stopBuffer) {
+      Atomics.store(new Int32Array(stopBuffer), 0, pending.id);
+      return;
+    }
+
+    // no shared memory: restart the worker and keep the last completed iteration
+    let info = pending.lastInfo;
+    worker.terminate();
+    finishSearch((info && info.pv && info.pv.length) ? info.pv[0] : '');
+    startWorker();
+  }
+
+  // drop pending search, its go() resolves with ''
+  function cancel() {
+    if (pending == null) return;
+
+    let search = pending;
+    pending = null;
+
+    if (stopBuffer) Atomics.store(new Int32Array(stopBuffer), 0, search.id);
+    else {
+      worker.terminate();
+      startWorker();
+    }
+
+    search.resolve('');
+  }
+
+  // set engine option
+  function setOption(name, value) {
+    options[name] = value;
+
+    if (name == 'Threads') setThreads(value);
+    else if (name == 'Hash' && stopBuffer) setHash(value);
+    else postAll({ command: 'setoption', name: name, value: value });
+  }
+
+  startWorker();
+
+  return {
+
+    /****************************\
+     ============================
+
+              PUBLIC API
+
+     ============================
+    \****************************/
+
+    position: function(fen, moves) { position(fen, moves); },
+    go: function(limits) { return go(limits); },
+    threat: function(depth) { return threat(depth); },
+    stop: function() { stop(); },
+    setOption: function(name, value) { setOption(name, value); },
+    onInfo: function(callback) { listeners.push(callback); },
+    onNoMate: function(callback) { noMateListeners.push(callback); },
+    isSearching: function() { return pending != null; },
+    cancel: function() { cancel(); },
+    terminate: function() {
+      pending = null;
+      finishThreat(null);
+      worker.terminate();
+      while (helpers.length) helpers.pop().terminate();
+    }
+  }
+}
@@ -0,0 +1,393 @@
+/****************************\
+ ============================
+          UCCI MODE
+ ============================
+\****************************/
+
+/*
+    UCCI protocol for ElephantEye-style Xiangqi GUIs.
+    Same threading as uci.js: the protocol runs here,
+    the search runs in worker.js.
+*/
+
+// init engine (tracks the game, the worker does the search)
+const { Engine } = require('./wukong.js');
+const { Worker } = require('worker_threads');
+const path = require('path');
+const engine = new Engine();
+
+// search thread
+const searcher = new Worker(path.join(__dirname, 'worker.js'));
+const stopBuffer = new SharedArrayBuffer(4);
+const stopSignal = new Int32Array(stopBuffer);
+searcher.postMessage({ command: 'stopsignal', buffer: stopBuffer });
+
+// options
+const OPTIONS = [
+  'option usemillisec type check default false',
+  'option hashsize type spin min 1 max 4096 default 16',
+  'option ruleset type combo var asian var chinese default asian',
+  'option newgame type button'
+];
+
+// mate scores reported as MATE_SCORE - plies
+const MATE_SCORE = 10000;
+
+// accept draw offers unless ahead by more than this
+const DRAW_SCORE = 0;
+
+// current position sent to the worker
+var position = { command: 'position', fen: engine.START_FEN, moves: '' };
+
+// root moves the engine may not play, reset by "position"
+var banMoves = [];
+
+// time values in milliseconds instead of seconds
+var useMillisec = 0;
+
+// search state
+var searchId = 0;
+var searching = 0;
+var pondering = 0;
+var infinite = 0;
+var drawOffered = 0;
+var ponderTime = 0;
+var stopTimer = null;
+var lastScore = 0;
+var closing = 0;
+
+// "bestmove" held back until "stop" or "ponderhit"
+var pendingBestMove = null;
+
+process.stdin.setEncoding('utf-8');
+console.log('\n  Wukong Xiangqi - UCCI mode - v' + engine.VERSION + '\n\n');
+
+// convert search score to UCCI centipawns
+function ucciScore(info) {
+  if (info.scoreType == 'cp') return info.score;
+
+  return (info.score > 0) ? MATE_SCORE - (info.score * 2 - 1) :
+                            -(MATE_SCORE + info.score * 2);
+}
+
+// print search output
+searcher.on('message', function(message) {
+  if (message.type == 'probe') {
+    printHashEntry(message.entry);
+    return;
+  }
+
+  if (message.id != searchId || searching == 0) return;
+
+  switch (message.type) {
+    case 'info':
+      let info = message.info;
+      lastScore = ucciScore(info);
+
+      console.log(
+        'info depth ' + info.depth +
+        ' score ' + lastScore +
+        ' time ' + info.time +
+        ' nodes ' + info.nodes +
+        ' pv ' + info.pv.join(' ')
+      );
+      break;
+
+    case 'currmove':
+      console.log('info currmove ' + message.info.currmove);
+      break;
+
+    case 'bestmove':
+      // search may not end before the GUI says so
+      if (pondering || infinite) pendingBestMove = message;
+      else finishSearch(message);
+      break;
+  }
+});
+
+// print best move and reset search state
+function finishSearch(result) {
+  let bestMove = 'nobestmove';
+
+  if (result && result.bestmove) {
+    bestMove = 'bestmove ' + result.bestmove;
+    if (result.ponder) bestMove += ' ponder ' + result.ponder;
+    if (drawOffered && lastScore <= DRAW_SCORE) bestMove += ' draw';
+  }
+
+  clearTimeout(stopTimer);
+  searching = 0;
+  pondering = 0;
+  infinite = 0;
+  drawOffered = 0;
+  pendingBestMove = null;
+  console.log(bestMove);
+
+  if (closing) searcher.terminate();
+}
+
+// ask the worker to stop current search
+function stopSearch() {
+  Atomics.store(stopSignal, 0, searchId);
+}
+
+// UCCI "pophash" reply to "probe"
+function printHashEntry(entry) {
+  let line = 'pophash';
+
+  if (entry) {
+    if (entry.bestmove) line += ' bestmove ' + entry.bestmove;
+    if (entry.bound != 'upper') line += ' lowerbound ' + entry.score + ' depth ' + entry.depth;
+    if (entry.bound != 'lower') line += ' upperbound ' + entry.score + ' depth ' + entry.depth;
+  }
+
+  console.log(line);
+}
+
+// split command into tokens
+function tokenize(command) {
+  return command.trim().split(/\s+/).filter(function(token) { return token.length; });
+}
+
+// move token check
+function isMove(token) {
+  return /^[a-i][0-9][a-i][0-9]$/.test(token);
+}
+
+// time value in milliseconds
+function toMillisec(value) {
+  return useMillisec ? parseInt(value) || 0 : Math.round((parseFloat(value) || 0) * 1000);
+}
+
+// parse UCCI "setoption <name> <value>" command
+function parseSetOption(tokens) {
+  let name = (tokens[1] || '').toLowerCase();
+  let value = tokens.slice(2).join(' ');
+
+  switch (name) {
+    case 'usemillisec': useMillisec = (value == 'true') ? 1 : 0; break;
+
+    case 'hashsize':
+      searcher.postMessage({ command: 'setoption', name: 'Hash', value: parseInt(value) });
+      break;
+
+    case 'ruleset':
+      engine.setRuleset(value.toLowerCase());
+      searcher.postMessage({ command: 'setoption', name: 'Ruleset', value: value.toLowerCase() });
+      break;
+
+    case 'newgame':
+      parsePosition(['position', 'startpos']);
+      searcher.postMessage({ command: 'clearhash' });
+      break;
+
+    // other UCCI options are not supported, silently ignored
+    default: break;
+  }
+}
+
+// parse "[startpos | fen <fen>] [moves ...]", returns position message or null
+function parseFenAndMoves(tokens, start) {
+  let fen = engine.START_FEN;
+  let index = start + 1;
+
+  if (tokens[start] == 'fen') {
+    let movesIndex = tokens.indexOf('moves');
+    if (movesIndex == -1) movesIndex = tokens.length;
+    fen = tokens.slice(start + 1, movesIndex).join(' ');
+    index = movesIndex;
+  } else if (tokens[start] != 'startpos') {
+    console.log('info string position must be "startpos" or "fen"');
+    return null;
+  }
+
+  try {
+    engine.setBoard(fen);
+  } catch(e) {
+    console.log('info string ' + e.message);
+    return null;
+  }
+
+  let moves = [];
+
+  if (tokens[index] == 'moves') {
+    for (let count = index + 1; count < tokens.length; count++) {
+      let move = isMove(tokens[count]) ? engine.moveFromString(tokens[count]) : 0;
+
+      if (move == 0) {
+        console.log('info string illegal move ' + tokens[count]);
+        break;
+      }
+
+      engine.loadMoves(tokens[count]);
+      moves.push(tokens[count]);
+    }
+  }
+
+  return { command: 'position', fen: fen, moves: moves.join(' ') };
+}
+
+// parse UCCI "position" command
+function parsePosition(tokens) {
+  let newPosition = parseFenAndMoves(tokens, 1);
+  if (newPosition == null) return;
+
+  position = newPosition;
+  banMoves = [];
+}
+
+// parse UCCI "banmoves" command
+function parseBanMoves(tokens) {
+  banMoves = tokens.slice(1).filter(isMove);
+}
+
+// parse UCCI "probe" command, current position if none given
+function parseProbe(tokens) {
+  let probePosition = position;
+
+  if (tokens.length > 1) {
+    // keep the game position for the next search
+    let game = engine.snapshot();
+    probePosition = parseFenAndMoves(tokens, 1);
+    engine.restore(game);
+
+    if (probePosition == null) return;
+  }
+
+  searcher.postMessage({ command: 'probe', fen: probePosition.fen, moves: probePosition.moves });
+}
+
+// parse UCCI "go" command
+function parseGo(tokens) {
+  if (searching) return;
+
+  let limits = { depth: 0, nodes: 0, time: -1, movestogo: 0, increment: 0 };
+
+  for (let index = 1; index < tokens.length; index++) {
+    switch (tokens[index]) {
+      case 'ponder': pondering = 1; break;
+      case 'draw': drawOffered = 1; break;
+
+      case 'depth':
+        if (tokens[index + 1] == 'infinite') { infinite = 1; index++; }
+        else limits.depth = parseInt(tokens[++index]) || 0;
+        break;
+
+      case 'nodes': limits.nodes = parseInt(tokens[++index]) || 0; break;
+      case 'time': limits.time = toMillisec(tokens[++index]); break;
+      case 'increment': limits.increment = toMillisec(tokens[++index]); break;
+      case 'movestogo': limits.movestogo = parseInt(tokens[++index]) || 0; break;
+
+      // opponent clock is not used
+      case 'opptime':
+      case 'oppmovestogo':
+      case 'oppincrement':
+        index++;
+        break;
+    }
+  }
+
+  let moveTime = 0;
+
+  if (limits.time != -1) {
+    let timeTotal = limits.time - 50;
+    let inc = limits.increment;
+
+    moveTime = parseInt(timeTotal / (limits.movestogo || 30) + inc);
+    if (inc > 0 && timeTotal < 5 * inc) moveTime = parseInt(75 * inc / 100);
+    moveTime = Math.max(moveTime, 1);
+  }
+
+  // no limit at all is an infinite search
+  if (limits.depth == 0 && limits.nodes == 0 && limits.time == -1) infinite = 1;
+
+  searching = 1;
+  ponderTime = moveTime;
+  lastScore = 0;
+
+  searcher.postMessage(position);
+  searcher.postMessage({
+    command: 'go',
+    id: ++searchId,
+    depth: limits.depth || 64,
+    movetime: (pondering || infinite) ? 0 : moveTime,
+    nodes: limits.nodes,
+    banmoves: banMoves
+  });
+}
+
+// parse UCCI "stop" command, a stopped ponder search has no move to play
+function parseStop() {
+  if (searching == 0) return;
+
+  let ponderStopped = pondering;
+  pondering = 0;
+  infinite = 0;
+
+  if (ponderStopped) {
+    pendingBestMove = null;
+    finishSearch(null);
+    stopSearch();
+  } else if (pendingBestMove) finishSearch(pendingBestMove);
+  else stopSearch();
+}
+
+// parse UCCI "ponderhit [draw]" command, opponent played the expected move
+function parsePonderHit(tokens) {
+  if (searching == 0 || pondering == 0) return;
+
+  pondering = 0;
+  if (tokens[1] == 'draw') drawOffered = 1;
+
+  if (pendingBestMove && infinite == 0) finishSearch(pendingBestMove);
+  else if (ponderTime) stopTimer = setTimeout(stopSearch, ponderTime);
+}
+
+// create CLI interface
+var readline = require('readline');
+var ucci = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout,
+  terminal: false
+});
+
+// UCCI loop
+ucci.on('line', function(command){
+  let tokens = tokenize(command);
+
+  switch (tokens[0]) {
+    case 'ucci':
+      console.log('id name WukongJS ' + engine.VERSION);
+      console.log('id author Code Monkey King');
+      for (let index = 0; index < OPTIONS.length; index++) console.log(OPTIONS[index]);
+      console.log('ucciok');
+      break;
+
+    case 'isready': console.log('readyok'); break;
+    case 'setoption': parseSetOption(tokens); break;
+    case 'position': parsePosition(tokens); break;
+    case 'banmoves': parseBanMoves(tokens); break;
+    case 'probe': parseProbe(tokens); break;
+    case 'go': parseGo(tokens); break;
+    case 'stop': parseStop(); break;
+    case 'ponderhit': parsePonderHit(tokens); break;
+
+    case 'quit':
+      console.log('bye');
+      searcher.terminate();
+      process.exit();
+
+    // print board (non UCCI command)
+    case 'd': engine.printBoard(); break;
+
+    default: if (tokens.length) console.log('info string unknown command ' + command.trim());
+  }
+})
+
+// input closed, let the current search finish unless it never would
+ucci.on('close', function() {
+  closing = 1;
+
+  if (searching == 0) searcher.terminate();
+  else if (pondering || infinite) parseStop();
+})
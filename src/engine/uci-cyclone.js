@@ -9,13 +9,20 @@
 /*
     UCI Cyclone dialect. Tested with Xboard
     using uci2wb adapter. Not an official feature,
-    so use it at your own risk.
+    so use it at your own risk. XBoard/WinBoard can
+    run xboard.js (native CECP) without an adapter.
 */
 
 // init engine
 const { Engine } = require('./wukong.js');  
 const engine = new Engine();
 
+// print search output
+engine.onInfo(function(info) { console.log(engine.infoToString(info)); });
+engine.onBestMove(function(result) {
+  console.log('bestmove ' + result.bestmove + (result.ponder ? ' ponder ' + result.ponder : ''));
+});
+
 process.stdin.setEncoding('utf-8');
 console.log('\n  Wukong Xiangqi - UCI mode - v' + engine.VERSION + '\n\n');
 
@@ -77,8 +84,13 @@ function parseGo(command) {
 
 // parse UCI "position" command
 function parsePosition(command) {
-  if (command == 'startpos') engine.setBoard(engine.START_FEN);
-  else engine.setBoard(command.split('fen ')[1]);
+  try {
+    if (command == 'startpos') engine.setBoard(engine.START_FEN);
+    else engine.setBoard(command.split('fen ')[1].split(' moves')[0]);
+  } catch(e) {
+    console.log('info string ' + e.message);
+    return;
+  }
   
   let moves = command.split('moves ')[1];
   if (moves) { engine.loadMoves(moves); };
@@ -99,7 +111,9 @@ uci.on('line', function(command){
   if (command == 'uci') {
     console.log('id name WukongJS ' + engine.VERSION);
     console.log('id author Code Monkey King');
-    console.log('option name Hash type spin default 16 min 4 max 128');
+    console.log('option name Hash type spin default 16 min 1 max 4096');
+    console.log('option name MultiPV type spin default 1 min 1 max 500');
+    console.log('option name Ruleset type combo default asian var asian var chinese');
     console.log('uciok');
   }
 
@@ -120,6 +134,18 @@ uci.on('line', function(command){
     engine.setHashSize(Mb);
   }
   
+  // set number of best lines
+  if (command.includes("setoption name MultiPV value")) {
+    let lines = command.split(' ')[command.split(' ').length - 1];
+    engine.setMultiPv(lines);
+  }
+  
+  // set repetition rules
+  if (command.includes("setoption name Ruleset value")) {
+    let rules = command.split(' ')[command.split(' ').length - 1];
+    engine.setRuleset(rules);
+  }
+  
   // perft (non UCI command)
   if (command.includes('perft')) engine.perft(command.split(' ')[1]);
 })
@@ -1,83 +1,494 @@
 /****************************\
  ============================
            UCI MODE
- ============================              
+ ============================
 \****************************/
 
-// init engine
-const { Engine } = require('./wukong.js');  
+/*
+    Protocol runs on the main thread, the search runs
+    in worker threads (worker.js) so "stop", "ponderhit"
+    and "isready" are answered while the engine thinks.
+
+    With Threads > 1 all workers search the same position
+    sharing one hash table (Lazy SMP). Thread 0 decides when
+    the search ends, the deepest completed iteration of any
+    thread gives the reported PV and the best move.
+*/
+
+// init engine (tracks the game, the worker does the search)
+const { Engine } = require('./wukong.js');
+const { Worker } = require('worker_threads');
+const path = require('path');
+const fs = require('fs');
 const engine = new Engine();
 
+// stop flag shared by all search threads
+const stopBuffer = new SharedArrayBuffer(4);
+const stopSignal = new Int32Array(stopBuffer);
+
+// search threads, hash table shared by them
+const MAX_THREADS = 64;
+var searchers = [];
+var hashBuffer = null;
+
+// worker options replayed to new threads
+var workerOptions = {};
+
+// options
+const OPTIONS = [
+  'option name Hash type spin default 16 min 1 max 4096',
+  'option name Clear Hash type button',
+  'option name Threads type spin default 1 min 1 max ' + MAX_THREADS,
+  'option name Ponder type check default false',
+  'option name MultiPV type spin default 1 min 1 max 500',
+  'option name Ruleset type combo default asian var asian var chinese',
+  'option name EvalFile type string default <empty>',
+  'option name Skill Level type spin default 20 min 0 max 20',
+  'option name UCI_LimitStrength type check default false',
+  'option name UCI_Elo type spin default 2400 min 800 max 2400'
+];
+
+// weaker play, UCI_Elo counts with UCI_LimitStrength on
+var skillLevel = 20;
+var limitStrength = 0;
+var uciElo = 2400;
+
+// current position sent to the worker
+var position = { command: 'position', fen: engine.START_FEN, moves: '' };
+
+// search state
+var searchId = 0;
+var searching = 0;
+var pondering = 0;
+var infinite = 0;
+var ponderTime = 0;
+var stopTimer = null;
+var closing = 0;
+
+// "bestmove" held back until "stop" or "ponderhit"
+var pendingBestMove = '';
+
+// "go" commands received while searching, started in turn
+var queuedSearches = [];
+
+// results of current search by thread
+var threadNodes = [];
+var threadResults = [];
+var bestThread = 0;
+var bestDepth = 0;
+
 process.stdin.setEncoding('utf-8');
 console.log('\n  Wukong Xiangqi - UCI mode - v' + engine.VERSION + '\n\n');
 
-// parse UCI "go" command
-function parseGo(command) {
-  if (command.includes('infinite')) return;
-
-  engine.resetTimeControl();
-  timing = engine.getTimeControl();
-
-  let go = command.split(' ');
-  let depth = -1;
-  let movestogo = 30;
-  let movetime = -1;
-  let inc = 0;
-
-  if (go[1] == 'wtime' && engine.getSide() == engine.COLOR['WHITE'] ) { timing.time = parseInt(go[2]); }
-  if (go[3] == 'btime' && engine.getSide() == engine.COLOR['BLACK'] ) { timing.time = parseInt(go[4]); }
-  if (go[5] == 'winc' && engine.getSide() == engine.COLOR['WHITE']) { inc = parseInt(go[6]); }
-  if (go[7] == 'binc' && engine.getSide() == engine.COLOR['BLACK']) { inc = parseInt(go[8]); }
-  if (go[9] == 'movestogo') { movestogo = parseInt(go[10]); }
-  if (go[1] == 'movetime') { movetime = parseInt(go[2]); }
-  if (go[1] == 'depth') { depth = parseInt(go[2]); }
-
-  if(movetime != -1) {
-    timing.time = movetime;
+// start one search thread with a 16 Mb hash table
+setHash(16);
+setThreads(1);
+
+// send message to all search threads
+function postAll(message) {
+  for (let index = 0; index < searchers.length; index++) searchers[index].postMessage(message);
+}
+
+// start or stop workers to get the given number of search threads
+function setThreads(count) {
+  count = Math.min(Math.max(count || 1, 1), MAX_THREADS);
+
+  while (searchers.length > count) searchers.pop().terminate();
+
+  while (searchers.length < count) {
+    let searcher = new Worker(path.join(__dirname, 'worker.js'));
+    searcher.on('message', onSearchMessage);
+    searcher.postMessage({ command: 'thread', index: searchers.length });
+    searcher.postMessage({ command: 'stopsignal', buffer: stopBuffer });
+    searcher.postMessage({ command: 'hashbuffer', buffer: hashBuffer });
+
+    for (let name in workerOptions)
+      searcher.postMessage({ command: 'setoption', name: name, value: workerOptions[name] });
+
+    searchers.push(searcher);
+  }
+
+  // hash generations of old and new threads differ
+  postAll({ command: 'clearhash' });
+}
+
+// end all search threads
+function terminateThreads() {
+  while (searchers.length) searchers.pop().terminate();
+}
+
+// allocate hash table shared by all search threads
+function setHash(Mb) {
+  Mb = Math.min(Math.max(Mb || 16, 1), 4096);
+
+  try {
+    hashBuffer = new SharedArrayBuffer(Mb * 0x100000);
+  } catch(e) {
+    console.log('info string not enough memory for ' + Mb + ' Mb hash table');
+    return;
+  }
+
+  postAll({ command: 'hashbuffer', buffer: hashBuffer });
+}
+
+// set worker option on all search threads
+function setWorkerOption(name, value) {
+  workerOptions[name] = value;
+  postAll({ command: 'setoption', name: name, value: value });
+}
+
+// total nodes of all threads
+function countNodes() {
+  return threadNodes.reduce(function(sum, nodes) { return sum + nodes; }, 0);
+}
+
+// print search output
+function onSearchMessage(message) {
+  // every thread gets the position, the main one reports
+  if (message.type == 'error') {
+    if (message.thread == 0) console.log('info string ' + message.message);
+    return;
+  }
+
+  if (message.id != searchId) return;
+
+  switch (message.type) {
+    case 'info':
+      let info = message.info;
+      threadNodes[message.thread] = info.nodes;
+
+      // deeper iteration of any thread takes over the PV, other lines follow it
+      if (info.multipv == 1 && info.depth > bestDepth) {
+        bestThread = message.thread;
+        bestDepth = info.depth;
+      } else if (message.thread != bestThread || info.depth != bestDepth) break;
+
+      info = Object.assign({}, info, { nodes: countNodes() });
+      info.nps = info.time ? Math.round(info.nodes * 1000 / info.time) : info.nodes;
+      console.log(engine.infoToString(info));
+      break;
+
+    case 'currmove':
+      console.log(
+        'info depth ' + message.info.depth +
+        ' currmove ' + message.info.currmove +
+        ' currmovenumber ' + message.info.currmovenumber
+      );
+      break;
+
+    case 'nomate':
+      console.log('info string no mate within ' + message.moves + ' moves');
+      break;
+
+    case 'bestmove':
+      threadResults[message.thread] = message;
+
+      // main thread is done, helpers stop too
+      if (message.thread == 0) Atomics.store(stopSignal, 0, searchId);
+
+      if (threadResults.filter(Boolean).length < searchers.length) break;
+
+      // proven mate of the main thread, else the deepest thread's move
+      let result = threadResults[0].mate ? threadResults[0] : threadResults[bestThread];
+      if (result.bestmove == '') result = threadResults[0];
+
+      let bestMove = 'bestmove ' + (result.bestmove || '(none)') +
+                     (result.ponder ? ' ponder ' + result.ponder : '');
+
+      // search may not end before the GUI says so
+      if (pondering || infinite) pendingBestMove = bestMove;
+      else finishSearch(bestMove);
+      break;
+  }
+}
+
+// print best move and reset search state
+function finishSearch(bestMove) {
+  clearTimeout(stopTimer);
+  searching = 0;
+  pondering = 0;
+  infinite = 0;
+  pendingBestMove = '';
+  console.log(bestMove);
+
+  if (queuedSearches.length) startSearch(queuedSearches.shift());
+  else if (closing) terminateThreads();
+}
+
+// ask the worker to stop current search
+function stopSearch() {
+  Atomics.store(stopSignal, 0, searchId);
+}
+
+// split command into tokens
+function tokenize(command) {
+  return command.trim().split(/\s+/).filter(function(token) { return token.length; });
+}
+
+// move token check
+function isMove(token) {
+  return /^[a-i][0-9][a-i][0-9]$/.test(token);
+}
+
+// parse UCI "setoption" command
+function parseSetOption(tokens) {
+  let name = [];
+  let value = [];
+  let current = null;
+
+  for (let index = 1; index < tokens.length; index++) {
+    if (tokens[index] == 'name') current = name;
+    else if (tokens[index] == 'value') current = value;
+    else if (current) current.push(tokens[index]);
+  }
+
+  name = name.join(' ').toLowerCase();
+  value = value.join(' ');
+
+  switch (name) {
+    case 'hash':
+      setHash(parseInt(value));
+      break;
+
+    case 'clear hash':
+      postAll({ command: 'clearhash' });
+      break;
+
+    case 'threads':
+      if (searching) console.log('info string threads can\'t change while searching');
+      else setThreads(parseInt(value));
+      break;
+
+    case 'multipv':
+      setWorkerOption('MultiPV', parseInt(value));
+      break;
+
+    case 'ruleset':
+      engine.setRuleset(value.toLowerCase());
+      setWorkerOption('Ruleset', value.toLowerCase());
+      break;
+
+    case 'evalfile': loadEvalFile(value); break;
+
+    case 'skill level':
+      skillLevel = parseInt(value);
+      applySkillLevel();
+      break;
+
+    case 'uci_limitstrength':
+      limitStrength = (value.toLowerCase() == 'true') ? 1 : 0;
+      applySkillLevel();
+      break;
+
+    case 'uci_elo':
+      uciElo = parseInt(value);
+      applySkillLevel();
+      break;
+
+    case 'ponder': break;
+    default: console.log('info string unknown option ' + name);
+  }
+}
+
+// send skill level to the workers
+function applySkillLevel() {
+  setWorkerOption('Skill Level', limitStrength ? engine.eloToSkillLevel(uciElo) : skillLevel);
+}
+
+// load evaluation parameters from JSON weights file (e.g. written by tuner/texel.js)
+function loadEvalFile(fileName) {
+  if (fileName == '' || fileName == '<empty>') return;
+
+  try {
+    let params = JSON.parse(fs.readFileSync(fileName, 'utf-8'));
+    engine.setEvalParams(params);
+    setWorkerOption('EvalParams', params);
+    console.log('info string loaded eval params from ' + fileName);
+  } catch(e) {
+    console.log('info string ' + e.message);
+  }
+}
+
+// parse UCI "position" command
+function parsePosition(tokens) {
+  let fen = engine.START_FEN;
+  let index = 2;
+
+  if (tokens[1] == 'fen') {
+    let movesIndex = tokens.indexOf('moves');
+    if (movesIndex == -1) movesIndex = tokens.length;
+    fen = tokens.slice(2, movesIndex).join(' ');
+    index = movesIndex;
+  } else if (tokens[1] != 'startpos') {
+    console.log('info string position must be "startpos" or "fen"');
+    return;
+  }
+
+  // the worker reports an invalid FEN and answers "go" with no move
+  try {
+    engine.setBoard(fen);
+  } catch(e) {
+    position = { command: 'position', fen: fen, moves: '' };
+    return;
+  }
+
+  let moves = [];
+
+  if (tokens[index] == 'moves') {
+    for (let count = index + 1; count < tokens.length; count++) {
+      let move = isMove(tokens[count]) ? engine.moveFromString(tokens[count]) : 0;
+
+      if (move == 0) {
+        console.log('info string illegal move ' + tokens[count]);
+        break;
+      }
+
+      engine.loadMoves(tokens[count]);
+      moves.push(tokens[count]);
+    }
+  }
+
+  position = { command: 'position', fen: fen, moves: moves.join(' ') };
+}
+
+// parse UCI "go" command, a running search is stopped first
+function parseGo(tokens) {
+  let limits = { depth: 0, movetime: 0, nodes: 0, mate: 0 };
+  let clock = { wtime: -1, btime: -1, winc: 0, binc: 0, movestogo: 30 };
+  let searchMoves = [];
+  let ponder = 0;
+  let goInfinite = 0;
+
+  for (let index = 1; index < tokens.length; index++) {
+    switch (tokens[index]) {
+      case 'searchmoves':
+        while (index + 1 < tokens.length && isMove(tokens[index + 1]))
+          searchMoves.push(tokens[++index]);
+        break;
+
+      case 'ponder': ponder = 1; break;
+      case 'infinite': goInfinite = 1; break;
+
+      case 'wtime':
+      case 'btime':
+      case 'winc':
+      case 'binc':
+      case 'movestogo':
+        clock[tokens[index]] = parseInt(tokens[++index]) || 0;
+        break;
+
+      case 'depth':
+      case 'nodes':
+      case 'mate':
+      case 'movetime':
+        limits[tokens[index]] = parseInt(tokens[++index]) || 0;
+        break;
+    }
+  }
+
+  // red plays the part of white
+  let time = (engine.getSide() == engine.COLOR.RED) ? clock.wtime : clock.btime;
+  let inc = (engine.getSide() == engine.COLOR.RED) ? clock.winc : clock.binc;
+  let movestogo = clock.movestogo || 30;
+  let moveTime = 0;
+
+  if (limits.movetime) {
+    time = limits.movetime;
     movestogo = 1;
+    inc = 0;
   }
 
-  let startTime = new Date().getTime();
+  if (time != -1) {
+    let timeTotal = time - 50;
+    moveTime = parseInt(timeTotal / movestogo + inc);
 
-  if(timing.time != -1) {
-    timing.timeSet = 1;
-    
-    let timeTotal = timing.time - 50;
-    let moveTime = parseInt(timeTotal / movestogo + inc);
-    
     if (inc > 0 && timeTotal < 5 * inc) moveTime = parseInt(75 * inc / 100);
-    timing.stopTime = startTime + moveTime;    
+    moveTime = Math.max(moveTime, 1);
   }
 
-  // "infinite" depth if it's not specified
-  if (depth == -1) depth = 64;
+  // the worker proves mate first, without one it searches mate in N moves deep (2N - 1 plies)
+  if (limits.mate && limits.depth == 0) limits.depth = limits.mate * 2 - 1;
+
+  let search = {
+    position: position,
+    ponder: ponder,
+    infinite: goInfinite,
+    moveTime: moveTime,
+    stop: 0,
+    go: {
+      command: 'go',
+      depth: limits.depth || 64,
+      movetime: (ponder || goInfinite) ? 0 : moveTime,
+      nodes: limits.nodes,
+      mate: limits.mate,
+      searchmoves: searchMoves
+    }
+  };
+
+  if (searching == 0) {
+    startSearch(search);
+    return;
+  }
 
-  // set time control
-  engine.setTimeControl(timing);
-  console.log(
-    'time:', timing.time,
-    'inc', inc,
-    'start', startTime,
-    'stop', timing.stopTime,
-    'depth', depth,
-    'timeset', timing.timeSet
-  );
+  // every "go" gets its "bestmove", only the last one searches on
+  queuedSearches.forEach(function(queued) { queued.stop = 1; });
+  queuedSearches.push(search);
 
-  // search position
-  engine.search(depth);
+  pondering = 0;
+  infinite = 0;
+
+  if (pendingBestMove) finishSearch(pendingBestMove);
+  else stopSearch();
 }
 
-// parse UCI "position" command
-function parsePosition(command) {
-  let position = command.split(' ');
-  
-  if (position[1].includes('startpos')) engine.setBoard(engine.START_FEN);
-  else if (position[1] == 'fen') engine.setBoard(command.split('position fen ')[1]);
-  
-  let moves = command.split('moves ')[1];
-  if (moves) { engine.loadMoves(moves); };
-  
-  engine.printBoard();
+// send search to the worker threads
+function startSearch(search) {
+  searching = 1;
+  pondering = search.ponder;
+  infinite = search.infinite;
+  ponderTime = search.moveTime;
+
+  // start results of the new search
+  threadNodes = searchers.map(function() { return 0; });
+  threadResults = [];
+  bestThread = 0;
+  bestDepth = 0;
+
+  postAll(search.position);
+  postAll(Object.assign({ id: ++searchId }, search.go));
+
+  // stopped while waiting or input closed on an endless search
+  if (search.stop || (closing && (pondering || infinite))) {
+    pondering = 0;
+    infinite = 0;
+    stopSearch();
+  }
+}
+
+// parse UCI "stop" command
+function parseStop() {
+  if (searching == 0) return;
+
+  // running search is already stopping, so are the waiting ones
+  if (queuedSearches.length) {
+    queuedSearches.forEach(function(queued) { queued.stop = 1; });
+    return;
+  }
+
+  pondering = 0;
+  infinite = 0;
+
+  if (pendingBestMove) finishSearch(pendingBestMove);
+  else stopSearch();
+}
+
+// parse UCI "ponderhit" command, opponent played the expected move
+function parsePonderHit() {
+  if (searching == 0 || pondering == 0) return;
+  pondering = 0;
+
+  if (pendingBestMove && infinite == 0) finishSearch(pendingBestMove);
+  else if (ponderTime) stopTimer = setTimeout(stopSearch, ponderTime);
 }
 
 // create CLI interface
@@ -90,25 +501,52 @@ var uci = readline.createInterface({
 
 // UCI loop
 uci.on('line', function(command){
-  if (command == 'uci') {
-    console.log('id name WukongJS ' + engine.VERSION);
-    console.log('id author Code Monkey King');
-    console.log('option name Hash type spin default 16 min 4 max 128');
-    console.log('uciok');
-  }
-
-  if (command == 'isready') console.log('readyok');
-  if (command == 'quit') process.exit();
-  if (command == 'ucinewgame') parsePosition("position startpos");
-  if (command.includes('position')) parsePosition(command);
-  if (command.includes('go')) parseGo(command);
-  
-  // set hash size
-  if (command.includes("setoption name Hash value")) {
-    let Mb = command.split(' ')[command.split(' ').length - 1];
-    engine.setHashSize(Mb);
-  }
-  
-  // perft (non UCI command)
-  if (command.includes('perft')) engine.perft(command.split(' ')[1]);
+  let tokens = tokenize(command);
+
+  switch (tokens[0]) {
+    case 'uci':
+      console.log('id name WukongJS ' + engine.VERSION);
+      console.log('id author Code Monkey King');
+      for (let index = 0; index < OPTIONS.length; index++) console.log(OPTIONS[index]);
+      console.log('uciok');
+      break;
+
+    case 'isready': console.log('readyok'); break;
+    case 'debug': break;
+    case 'register': break;
+    case 'setoption': parseSetOption(tokens); break;
+
+    case 'ucinewgame':
+      parsePosition(['position', 'startpos']);
+      postAll({ command: 'clearhash' });
+      break;
+
+    case 'position': parsePosition(tokens); break;
+    case 'go': parseGo(tokens); break;
+    case 'stop': parseStop(); break;
+    case 'ponderhit': parsePonderHit(); break;
+
+    case 'quit':
+      terminateThreads();
+      process.exit();
+
+    // print board (non UCI command)
+    case 'd': engine.printBoard(); break;
+
+    // perft (non UCI command)
+    case 'perft': engine.perft(parseInt(tokens[1]) || 1); break;
+
+    // search speed at fixed depth (non UCI command)
+    case 'bench': engine.bench(parseInt(tokens[1]) || 7); break;
+
+    default: if (tokens.length) console.log('Unknown command: ' + command.trim());
+  }
+})
+
+// input closed, let the current search finish unless it never would
+uci.on('close', function() {
+  closing = 1;
+
+  if (searching == 0) terminateThreads();
+  else if (pondering || infinite) parseStop();
 })
@@ -0,0 +1,196 @@
+/****************************\
+ ============================
+
+         WEB WORKER MODE
+
+ ============================
+\****************************/
+
+/*
+    Runs Wukong inside a Web Worker so the search
+    never blocks the page. Driven by EngineWorker
+    (engine-worker.js) with plain messages, or by
+    the UCI front-end (uci.js) as a Node.js worker thread:
+
+      -> { command: 'position', fen, moves }
+      -> { command: 'go', id, depth, movetime, nodes, mate, searchmoves, banmoves }
+      -> { command: 'setoption', name, value }
+      -> { command: 'stopsignal', buffer }
+      -> { command: 'hashbuffer', buffer }
+      -> { command: 'thread', index }
+      -> { command: 'clearhash' }
+      -> { command: 'probe', fen, moves }
+      -> { command: 'threat', id, depth }
+
+      <- { type: 'info', id, thread, info }
+      <- { type: 'currmove', id, thread, info }
+      <- { type: 'bestmove', id, thread, bestmove, ponder, mate }
+      <- { type: 'nomate', id, thread, moves }
+      <- { type: 'probe', entry }
+      <- { type: 'threat', id, threat }
+      <- { type: 'error', thread, message }
+
+    Search N stops once the shared stop flag is set to N or above.
+    A "go" with "mate" proves the shortest mate first and falls
+    back to a normal search if there is none within that many moves.
+
+    Lazy SMP: several workers search the same position sharing
+    one hash table (SharedArrayBuffer), the controlling thread
+    picks the deepest result. Only thread 0 reports current moves
+    and proves mates, helper threads just search.
+    
+    An invalid FEN (engine.validateFen) is reported as an error,
+    searches until the next valid position answer with no best move.
+    
+    A "threat" searches the opponent's best move after a null move
+    (engine.findThreat), it stops with the searches up to its id.
+*/
+
+// Node.js worker thread or Web Worker
+var parentPort = (typeof importScripts == 'undefined') ? require('worker_threads').parentPort : null;
+
+// init engine
+if (parentPort) var Engine = require('./wukong.js').Engine;
+else importScripts('wukong.js');
+
+const engine = new Engine();
+
+// id of the search in progress
+var searchId = 0;
+
+// index among search threads
+var thread = 0;
+
+// stop flag shared with the page
+var stopSignal = null;
+
+// last search result
+var bestMoveResult = null;
+
+// error of the last position, '' if it was valid
+var positionError = '';
+
+// send message to the controlling thread
+function send(message) {
+  if (parentPort) parentPort.postMessage(message);
+  else postMessage(message);
+}
+
+// forward search info to the page
+engine.onInfo(function(info) {
+  send({ type: 'info', id: searchId, thread: thread, info: info });
+});
+
+engine.onCurrMove(function(info) {
+  if (thread == 0) send({ type: 'currmove', id: searchId, thread: thread, info: info });
+});
+
+engine.onBestMove(function(result) { bestMoveResult = result; });
+
+// set position from FEN string and move list
+function parsePosition(message) {
+  let fen = message.fen || engine.START_FEN;
+  positionError = engine.validateFen(fen);
+
+  if (positionError) {
+    send({ type: 'error', thread: thread, message: 'Invalid FEN: ' + positionError });
+    return;
+  }
+
+  engine.setBoard(fen);
+  if (message.moves) engine.loadMoves(message.moves);
+}
+
+// search current position
+function parseGo(message) {
+  searchId = message.id;
+
+  if (positionError) {
+    send({ type: 'bestmove', id: searchId, thread: thread, bestmove: '', ponder: '', mate: 0 });
+    return;
+  }
+
+  if (stopSignal) engine.setStopSignal(stopSignal, searchId);
+  engine.setSearchMoves(message.searchmoves);
+  engine.setBanMoves(message.banmoves);
+  engine.resetTimeControl();
+
+  let timing = engine.getTimeControl();
+  let depth = message.depth || 64;
+
+  if (message.movetime) {
+    timing.timeSet = 1;
+    timing.time = message.movetime;
+    timing.stopTime = Date.now() + message.movetime;
+  }
+
+  if (message.nodes) timing.nodes = message.nodes;
+
+  engine.setTimeControl(timing);
+
+  if (message.mate && thread == 0) {
+    let solution = engine.solveMate(message.mate);
+
+    if (solution.mate) {
+      send({
+        type: 'bestmove',
+        id: searchId,
+        thread: thread,
+        bestmove: solution.bestmove,
+        ponder: solution.pv[1] || '',
+        mate: solution.mate
+      });
+
+      return;
+    }
+
+    send({ type: 'nomate', id: searchId, thread: thread, moves: message.mate });
+  }
+
+  engine.search(depth);
+
+  send({
+    type: 'bestmove',
+    id: searchId,
+    thread: thread,
+    bestmove: bestMoveResult.bestmove,
+    ponder: bestMoveResult.ponder,
+    mate: 0
+  });
+}
+
+// handle messages from the page
+function handleMessage(message) {
+  switch (message.command) {
+    case 'position': parsePosition(message); break;
+    case 'go': parseGo(message); break;
+    case 'stopsignal':
+      stopSignal = new Int32Array(message.buffer);
+      break;
+    case 'hashbuffer': engine.setHashBuffer(message.buffer); break;
+    case 'thread':
+      thread = message.index;
+      engine.setSearchThread(thread);
+      break;
+    case 'clearhash': engine.initHashTable(); break;
+    case 'probe':
+      parsePosition(message);
+      send({ type: 'probe', entry: positionError ? null : engine.probeHash() });
+      break;
+    case 'threat':
+      if (stopSignal) engine.setStopSignal(stopSignal, message.id);
+      send({ type: 'threat', id: message.id, threat: positionError ? null : engine.findThreat(message.depth) });
+      break;
+    case 'setoption':
+      if (message.name == 'Hash') engine.setHashSize(message.value);
+      if (message.name == 'MultiPV') engine.setMultiPv(message.value);
+      if (message.name == 'Ruleset') engine.setRuleset(message.value);
+      if (message.name == 'EvalParams') engine.setEvalParams(message.value);
+      if (message.name == 'Skill Level') engine.setSkillLevel(message.value);
+      if (message.name == 'UCI_Elo') engine.setElo(message.value);
+      break;
+  }
+}
+
+if (parentPort) parentPort.on('message', handleMessage);
+else onmessage = function(event) { handleMessage(event.data); }
@@ -0,0 +1,359 @@
+/****************************\
+ ============================
+       XBOARD (CECP) MODE
+ ============================
+\****************************/
+
+/*
+    Native CECP protocol v2 for XBoard/WinBoard
+    (no uci2wb adapter needed). Same threading
+    as uci.js: the protocol runs here, the search
+    runs in worker.js. Red plays the part of white.
+*/
+
+// init engine (tracks the game, the worker does the search)
+const { Engine } = require('./wukong.js');
+const { Worker } = require('worker_threads');
+const path = require('path');
+const engine = new Engine();
+
+// search thread
+const searcher = new Worker(path.join(__dirname, 'worker.js'));
+const stopBuffer = new SharedArrayBuffer(4);
+const stopSignal = new Int32Array(stopBuffer);
+searcher.postMessage({ command: 'stopsignal', buffer: stopBuffer });
+
+// mate scores reported as MATE_SCORE + moves
+const MATE_SCORE = 100000;
+
+// accept draw offers unless ahead by more than this
+const DRAW_SCORE = 0;
+
+// game: start position and moves played since
+var startFen = engine.START_FEN;
+var moves = [];
+
+// engine state
+var engineSide = engine.COLOR.BLACK;
+var force = 0;
+var analyzing = 0;
+var post = 0;
+
+// search limits
+var maxDepth = 64;
+var fixedTime = 0;
+var movesPerSession = 0;
+var baseTime = 0;
+var increment = 0;
+var engineTime = 0;
+
+// search in progress
+var searchId = 0;
+var searching = 0;
+var lastScore = 0;
+var closing = 0;
+
+process.stdin.setEncoding('utf-8');
+
+// print search output
+searcher.on('message', function(message) {
+  if (message.id != searchId || searching == 0) return;
+
+  switch (message.type) {
+    case 'info':
+      let info = message.info;
+      lastScore = xboardScore(info);
+
+      if (post || analyzing) console.log(
+        info.depth + ' ' +
+        lastScore + ' ' +
+        Math.round(info.time / 10) + ' ' +
+        info.nodes + ' ' +
+        info.pv.join(' ')
+      );
+      break;
+
+    case 'bestmove':
+      searching = 0;
+
+      // analysis only ends on "exit"
+      if (analyzing) break;
+
+      if (message.bestmove) {
+        engine.loadMoves(message.bestmove);
+        moves.push(message.bestmove);
+        console.log('move ' + message.bestmove);
+      }
+
+      printResult();
+      if (closing) searcher.terminate();
+      break;
+  }
+});
+
+// convert search score to CECP centipawns
+function xboardScore(info) {
+  if (info.scoreType == 'cp') return info.score;
+  return (info.score > 0) ? MATE_SCORE + info.score : -MATE_SCORE + info.score;
+}
+
+// print game result if the game is over, returns 1 if it is
+function printResult() {
+  let status = engine.getGameStatus();
+  if (status.result == '*') return 0;
+
+  let winner = (status.winner == engine.COLOR.RED) ? 'Red' : 'Black';
+  let reason = (status.result == '1/2-1/2') ? status.reason :
+               winner + ' wins by ' + (status.reason == 'mate' ? 'checkmate' : status.reason);
+
+  console.log(status.result + ' {' + reason + '}');
+  return 1;
+}
+
+// set engine board to start position and game moves
+function loadGame() {
+  engine.setBoard(startFen);
+  if (moves.length) engine.loadMoves(moves.join(' '));
+}
+
+// ask the worker to stop current search, the engine still moves ("?")
+function stopSearch() {
+  if (searching) Atomics.store(stopSignal, 0, searchId);
+}
+
+// stop current search and ignore its result
+function cancelSearch() {
+  stopSearch();
+  searching = 0;
+}
+
+// time for the next move in ms
+function getMoveTime() {
+  if (fixedTime) return fixedTime;
+
+  let time = engineTime || baseTime;
+  if (time == 0) return 0;
+
+  // moves left until the next time control
+  let movesToGo = 30;
+
+  if (movesPerSession) {
+    let engineMoves = Math.floor(moves.length / 2);
+    movesToGo = movesPerSession - engineMoves % movesPerSession;
+  }
+
+  let timeTotal = time - 50;
+  let moveTime = parseInt(timeTotal / movesToGo + increment);
+
+  if (increment > 0 && timeTotal < 5 * increment) moveTime = parseInt(75 * increment / 100);
+  return Math.max(moveTime, 1);
+}
+
+// start searching current position
+function startSearch() {
+  cancelSearch();
+
+  searching = 1;
+  lastScore = 0;
+
+  searcher.postMessage({ command: 'position', fen: startFen, moves: moves.join(' ') });
+  searcher.postMessage({
+    command: 'go',
+    id: ++searchId,
+    depth: analyzing ? 64 : maxDepth,
+    movetime: analyzing ? 0 : getMoveTime()
+  });
+}
+
+// engine to move if it plays the side to move
+function think() {
+  if (analyzing) startSearch();
+  else if (force == 0 && engine.getSide() == engineSide && engine.getGameStatus().result == '*')
+    startSearch();
+}
+
+// split command into tokens
+function tokenize(command) {
+  return command.trim().split(/\s+/).filter(function(token) { return token.length; });
+}
+
+// parse CECP "usermove" command
+function parseUserMove(moveString) {
+  let move = /^[a-i][0-9][a-i][0-9]$/.test(moveString) ? engine.moveFromString(moveString) : 0;
+  let legalMoves = engine.generateLegalMoves();
+
+  if (move == 0 || legalMoves.every(function(legalMove) { return legalMove.move != move; })) {
+    console.log('Illegal move: ' + moveString);
+    return;
+  }
+
+  cancelSearch();
+  engine.loadMoves(moveString);
+  moves.push(moveString);
+
+  if (analyzing == 0 && printResult()) return;
+  think();
+}
+
+// parse CECP "level MPS BASE INC" command, BASE is minutes or minutes:seconds
+function parseLevel(tokens) {
+  let base = (tokens[2] || '0').split(':');
+
+  movesPerSession = parseInt(tokens[1]) || 0;
+  baseTime = ((parseInt(base[0]) || 0) * 60 + (parseInt(base[1]) || 0)) * 1000;
+  increment = Math.round((parseFloat(tokens[3]) || 0) * 1000);
+  fixedTime = 0;
+}
+
+// parse CECP "setboard FEN" command
+function parseSetBoard(tokens) {
+  let fen = tokens.slice(1).join(' ');
+  let error = engine.validateFen(fen);
+
+  if (error) {
+    console.log('tellusererror Illegal position: ' + error);
+    return;
+  }
+
+  cancelSearch();
+  startFen = fen;
+  moves = [];
+  loadGame();
+  if (analyzing) startSearch();
+}
+
+// take back given number of moves
+function takeBack(count) {
+  if (moves.length < count) return;
+
+  cancelSearch();
+  moves.splice(moves.length - count, count);
+  loadGame();
+  if (analyzing) startSearch();
+}
+
+// create CLI interface
+var readline = require('readline');
+var xboard = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout,
+  terminal: false
+});
+
+// CECP loop
+xboard.on('line', function(command) {
+  let tokens = tokenize(command);
+
+  switch (tokens[0]) {
+    case 'xboard': break;
+
+    case 'protover':
+      console.log(
+        'feature myname="WukongJS ' + engine.VERSION + '" variants="xiangqi" ' +
+        'usermove=1 setboard=1 ping=1 analyze=1 colors=0 time=1 draw=1 ' +
+        'sigint=0 sigterm=0 reuse=1 done=1'
+      );
+      break;
+
+    case 'new':
+      cancelSearch();
+      analyzing = 0;
+      force = 0;
+      engineSide = engine.COLOR.BLACK;
+      maxDepth = 64;
+      startFen = engine.START_FEN;
+      moves = [];
+      loadGame();
+      searcher.postMessage({ command: 'clearhash' });
+      break;
+
+    case 'variant':
+      if (tokens[1] != 'xiangqi') console.log('Error (unsupported variant): ' + tokens[1]);
+      break;
+
+    case 'force':
+      cancelSearch();
+      force = 1;
+      break;
+
+    case 'go':
+      force = 0;
+      engineSide = engine.getSide();
+      think();
+      break;
+
+    case 'playother':
+      force = 0;
+      engineSide = engine.getSide() ^ 1;
+      break;
+
+    case 'level': parseLevel(tokens); break;
+    case 'st': fixedTime = Math.round((parseFloat(tokens[1]) || 0) * 1000); break;
+    case 'sd': maxDepth = parseInt(tokens[1]) || 64; break;
+
+    // engine clock in centiseconds, opponent clock is not used
+    case 'time': engineTime = (parseInt(tokens[1]) || 0) * 10; break;
+    case 'otim': break;
+
+    case 'usermove': parseUserMove(tokens[1] || ''); break;
+    case '?': if (analyzing == 0) stopSearch(); break;
+    case 'ping': console.log('pong ' + tokens[1]); break;
+
+    case 'draw':
+      if (lastScore <= DRAW_SCORE) console.log('offer draw');
+      break;
+
+    case 'result':
+      cancelSearch();
+      force = 1;
+      break;
+
+    case 'setboard': parseSetBoard(tokens); break;
+    case 'undo': takeBack(1); break;
+    case 'remove': takeBack(2); break;
+    case 'post': post = 1; break;
+    case 'nopost': post = 0; break;
+
+    case 'analyze':
+      analyzing = 1;
+      startSearch();
+      break;
+
+    case 'exit':
+      analyzing = 0;
+      cancelSearch();
+      break;
+
+    case 'quit':
+      searcher.terminate();
+      process.exit();
+
+    // print board (non CECP command)
+    case 'd': engine.printBoard(); break;
+
+    // not used by the engine
+    case 'accepted':
+    case 'rejected':
+    case 'random':
+    case 'computer':
+    case 'name':
+    case 'rating':
+    case 'hard':
+    case 'easy':
+    case 'white':
+    case 'black':
+    case '.':
+      break;
+
+    default:
+      if (tokens.length) console.log('Error (unknown command): ' + tokens[0]);
+  }
+})
+
+// input closed, let the current search finish unless it never would
+xboard.on('close', function() {
+  closing = 1;
+
+  if (analyzing) cancelSearch();
+  if (searching == 0) searcher.terminate();
+})
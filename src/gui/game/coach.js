@@ -1,15 +1,21 @@
 /*
-  Realtime Coach (Browser-only) - ULTRA STRENGTH (Main thread)
+  Realtime Coach (Browser-only) - ULTRA STRENGTH (Web Worker)
   - No npm, no node.
-  - Uses the same in-page Wukong engine instance already created in xiangqi.js.
+  - Reads the board from the in-page Wukong engine instance created in xiangqi.js,
+    searches on its own background engine (EngineWorker) so the board never freezes.
   - Watches moves via updatePgn()/drawBoard() hook and suggests the best move for the side to move.
-  - Renders a "mini-map" panel with from/to highlights and an arrow.
+  - Renders a "mini-map" panel with from/to highlights and arrows
+    for the top candidate moves (MultiPV) with their evals.
+  - Explains the static evaluation under the mini-map (which side is better and why).
+  - Shows what the opponent threatens (its best move if the side to move passed) as a red arrow,
+    only when it wins material or mates; searched in the worker like the candidates.
+  - Marks hanging pieces of both sides: en prise (lost to a capture) and underdefended.
 
   ULTRA strength changes:
   - Analyze for BOTH sides depending on side-to-move.
   - Time-control search with large time budget (default 10s).
   - High max depth to allow deeper iterative deepening.
-  - Strong anti-jank: analyzes only when position changed, cooldown, debounce, idle callback.
+  - Analyzes only when position changed; a running search is cancelled on move / undo / new game.
 */
 
 (function () {
@@ -21,36 +27,54 @@
   const COACH_ONLY_WHEN_RED_TO_MOVE = false;
   const COACH_BOT_NAME = 'Liudahua';
 
-  // NOTE: 10s will freeze UI while searching (expected, because main thread).
-  // Increase to 12–15 if you accept longer freezes for stronger hints.
+  // Search runs in a worker, so a long budget only delays the hint, not the board.
   const COACH_TIME_SECONDS = 10.0;
 
   // Allow deeper iterative deepening (engine should stop by time-control).
   const COACH_DEPTH_TIMED = 128;
 
-  // Fallback if TC APIs missing
-  const COACH_DEPTH_UI = 22;
-
-  // Anti-spam (important with 10s searches)
-  const MIN_INTERVAL_MS = 1800;
+  // Debounce rapid position changes (e.g. bot replies right after user move)
   const DEBOUNCE_MS = 250;
 
-  const USE_IDLE_CALLBACK = true;
-  const IDLE_TIMEOUT_MS = 700;
+  // Number of ranked candidate moves shown (MultiPV lines)
+  const COACH_LINES = 3;
+
+  // Search threads, only used on cross-origin isolated pages (one core left for the page)
+  const COACH_THREADS = Math.max(1, (navigator.hardwareConcurrency || 1) - 1);
+
+  // Arrow style per rank: best move is the boldest
+  const ARROW_STYLES = [
+    { width: 4, color: 'rgba(255,208,0,0.9)', head: 11 },
+    { width: 2.5, color: 'rgba(255,208,0,0.55)', head: 9 },
+    { width: 1.5, color: 'rgba(255,208,0,0.35)', head: 7 },
+  ];
+
+  // Opponent's threat: short search in the worker before the candidates, keep it shallow
+  const COACH_THREAT_DEPTH = 4;
+  const THREAT_STYLE = { width: 3, color: 'rgba(255,77,77,0.85)', head: 10 };
+
+  // Hanging pieces: solid ring if en prise, dashed if only underdefended
+  const HANGING_COLOR = 'rgba(255,140,0,0.95)';
 
   // =========================
   // Required globals
   // =========================
-  if (typeof window.engine === 'undefined') {
+  if (typeof window.engine === 'undefined' || typeof window.EngineWorker === 'undefined') {
     console.warn('[Coach] engine not found. coach disabled.');
     return;
   }
 
+  // Background search engine (separate from the bot's one)
+  const searcher = new window.EngineWorker();
+  searcher.setOption('MultiPV', COACH_LINES);
+  searcher.setOption('Threads', COACH_THREADS);
+
   // ---- UI refs (mini-map only) ----
   const elMinimap = document.getElementById('coach-minimap');
   const elCanvas = document.getElementById('coach-canvas');
   const elMoveLabel = document.getElementById('coach-move-label');
   const elLegend = document.getElementById('coach-legend');
+  const elReasons = document.getElementById('coach-reasons');
 
   if (!elMinimap || !elCanvas || !elMoveLabel || !elLegend) {
     console.warn('[Coach] UI not found. coach disabled.');
@@ -72,23 +96,12 @@
   }
 
   // ---- helpers ----
-  const PIECE_TO_CHAR = ['.', 'P', 'A', 'B', 'N', 'C', 'R', 'K', 'p', 'a', 'b', 'n', 'c', 'r', 'k'];
-
-  // Build coordinate->square map once (engine uses 11x14 mailbox)
-  const coordToSquare = (function buildMap() {
-    const map = Object.create(null);
-    for (let sq = 0; sq < 11 * 14; sq++) {
-      const c = window.engine.squareToString(sq);
-      if (c && c !== 'xx') map[c] = sq;
-    }
-    return map;
-  })();
 
-  function getPieceCharAtCoord(coord) {
-    const sq = coordToSquare[coord];
-    if (typeof sq === 'undefined') return '.';
-    const piece = window.engine.getPiece(sq);
-    return PIECE_TO_CHAR[piece] || '.';
+  // Board as rows of piece chars from the FEN: rows[0] is rank 9, '.' for empty
+  function getBoardRows() {
+    return window.engine.generateFen().split(' ')[0].split('/').map((row) => {
+      return row.replace(/\d/g, (empty) => '.'.repeat(Number(empty))).split('');
+    });
   }
 
   function getGamePhase() {
@@ -98,15 +111,13 @@
     let total = 0;
     let majors = 0;
 
-    for (let rank = 0; rank <= 9; rank++) {
-      for (let file = 0; file < 9; file++) {
-        const coord = String.fromCharCode(97 + file) + String(rank);
-        const p = getPieceCharAtCoord(coord);
-        if (p === '.') continue;
+    getBoardRows().forEach((row) => {
+      row.forEach((p) => {
+        if (p === '.') return;
         total++;
         if (p === 'R' || p === 'C' || p === 'N' || p === 'r' || p === 'c' || p === 'n') majors++;
-      }
-    }
+      });
+    });
 
     if (total >= 26 && majors >= 10) return 'opening';     // khai cuộc
     if (total >= 16 && majors >= 6) return 'middlegame';   // trung cuộc
@@ -124,10 +135,8 @@
     }
   }
 
-  function ucciFromMove(move) {
-    const s = window.engine.squareToString(window.engine.getSourceSquare(move));
-    const t = window.engine.squareToString(window.engine.getTargetSquare(move));
-    return (s + t);
+  function isLegalUcci(ucci) {
+    return window.engine.legalMovesDetailed().some((move) => move.uci === ucci);
   }
 
   function fileToIndex(ch) {
@@ -151,7 +160,7 @@
 
   // Position fingerprint to prevent redundant heavy search
   function getPositionKey() {
-    // Best effort: use fen() if exists, else move stack length + side
+    // Best effort: use fen() if exists, else move list + side
     try {
       if (typeof window.engine.fen === 'function') return window.engine.fen();
     } catch (_) {}
@@ -161,7 +170,7 @@
     } catch (_) {}
 
     try {
-      return 'ms:' + window.engine.moveStack().length + ':' + (window.engine.getSide ? window.engine.getSide() : '?');
+      return 'ms:' + window.engine.getMoves().join(' ') + ':' + (window.engine.getSide ? window.engine.getSide() : '?');
     } catch (_) {}
 
     return String(Date.now());
@@ -180,13 +189,13 @@
   function getCoachBookMove() {
     // Deterministic first matching line
     const bookLines = getCoachBookLines();
-    if (!bookLines.length) return 0;
+    if (!bookLines.length) return '';
 
     const moves = (typeof window.engine.getMoves === 'function') ? window.engine.getMoves() : [];
     if (!moves || !moves.length) {
       const firstLine = bookLines[0];
       const firstMove = String(firstLine).trim().split(/\s+/)[0];
-      return window.engine.moveFromString(firstMove);
+      return isLegalUcci(firstMove) ? firstMove : '';
     }
 
     const currentLine = moves.join(' ');
@@ -195,56 +204,29 @@
       if (line.includes(currentLine) && line.split(currentLine)[0] === '') {
         try {
           const next = line.split(currentLine)[1].trim().split(/\s+/)[0];
-          return window.engine.moveFromString(next);
+          return isLegalUcci(next) ? next : '';
         } catch (_) {
-          return 0;
+          return '';
         }
       }
     }
-    return 0;
+    return '';
   }
 
-  function setTimeControl(seconds) {
-    try {
-      if (
-        typeof window.engine.resetTimeControl === 'function' &&
-        typeof window.engine.getTimeControl === 'function' &&
-        typeof window.engine.setTimeControl === 'function'
-      ) {
-        window.engine.resetTimeControl();
-        const timing = window.engine.getTimeControl();
-        const startTime = Date.now();
-        timing.timeSet = 1;
-        timing.time = Math.max(0.25, seconds) * 1000;
-        timing.stopTime = startTime + timing.time;
-        window.engine.setTimeControl(timing);
-        return true;
-      }
-    } catch (_) {}
-    return false;
-  }
-
-  function timedSearch(depth, seconds) {
-    setTimeControl(seconds);
-    return window.engine.search(depth);
+  function getStartFen() {
+    return window.guiFen || window.engine.START_FEN;
   }
 
-  function pickBestMoveUltra() {
+  function searchBestMove() {
     // 1) Opening book
-    let m = getCoachBookMove();
-    if (m && m !== 0) return m;
-
-    // 2) Timed search (strong)
-    m = timedSearch(COACH_DEPTH_TIMED, COACH_TIME_SECONDS);
-    if (m && m !== 0) return m;
-
-    // 3) Fallback deep-ish fixed depth
-    m = window.engine.search(COACH_DEPTH_UI);
-    if (m && m !== 0) return m;
+    const m = getCoachBookMove();
+    if (m) {
+      searcher.cancel();
+      return Promise.resolve(m);
+    }
 
-    // 4) Last resort
-    const moves = window.engine.generateLegalMoves();
-    return (moves && moves.length) ? moves[0].move : 0;
+    // 2) Timed search in the worker (strong), position is set by analyzeNow
+    return searcher.go({ depth: COACH_DEPTH_TIMED, movetime: COACH_TIME_SECONDS * 1000 });
   }
 
   // ---- minimap drawing (canvas) ----
@@ -278,11 +260,10 @@
 
   function drawPiecesCanvas(W, H) {
     const r = Math.max(2.5, Math.min(6, Math.min(W / 60, H / 60)));
-    for (let rank = 9; rank >= 0; rank--) {
-      const row = 9 - rank;
+    const rows = getBoardRows();
+    for (let row = 0; row <= 9; row++) {
       for (let file = 0; file < 9; file++) {
-        const coord = String.fromCharCode('a'.charCodeAt(0) + file) + String(rank);
-        const pch = getPieceCharAtCoord(coord);
+        const pch = rows[row][file];
         if (pch === '.') continue;
         const pos = cellToXY(file, row, W, H);
         ctx.beginPath();
@@ -293,17 +274,11 @@
     }
   }
 
-  function drawHintCanvas(ucci, W, H) {
-    if (!ucci || ucci.length < 4) return;
-
-    const c = ucciToFenRow(ucci);
-    const a = cellToXY(c.fromFile, c.fromRow, W, H);
-    const b = cellToXY(c.toFile, c.toRow, W, H);
-
+  function drawArrowCanvas(a, b, style) {
     // Arrow
     ctx.save();
-    ctx.lineWidth = 3;
-    ctx.strokeStyle = 'rgba(255,208,0,0.85)';
+    ctx.lineWidth = style.width;
+    ctx.strokeStyle = style.color;
     ctx.beginPath();
     ctx.moveTo(a.x, a.y);
     ctx.lineTo(b.x, b.y);
@@ -311,8 +286,8 @@
 
     // Arrow head
     const ang = Math.atan2(b.y - a.y, b.x - a.x);
-    const headLen = 10;
-    ctx.fillStyle = 'rgba(255,208,0,0.9)';
+    const headLen = style.head;
+    ctx.fillStyle = style.color;
     ctx.beginPath();
     ctx.moveTo(b.x, b.y);
     ctx.lineTo(
@@ -326,8 +301,20 @@
     ctx.closePath();
     ctx.fill();
     ctx.restore();
+  }
 
-    // From/to rings
+  function drawHintCanvas(ucci, W, H, rank) {
+    if (!ucci || ucci.length < 4) return;
+
+    const c = ucciToFenRow(ucci);
+    const a = cellToXY(c.fromFile, c.fromRow, W, H);
+    const b = cellToXY(c.toFile, c.toRow, W, H);
+    const style = ARROW_STYLES[rank] || ARROW_STYLES[ARROW_STYLES.length - 1];
+
+    drawArrowCanvas(a, b, style);
+
+    // From/to rings (best move only)
+    if (rank > 0) return;
     const ringR = Math.max(6, Math.min(12, Math.min(W / 30, H / 30)));
     ctx.save();
     ctx.lineWidth = 2.5;
@@ -342,17 +329,151 @@
     ctx.restore();
   }
 
+  // Red arrow for the threat, red rings around the pieces it hits
+  function drawThreatCanvas(threat, W, H) {
+    if (!threat) return;
+
+    const c = ucciToFenRow(threat.bestmove);
+    drawArrowCanvas(cellToXY(c.fromFile, c.fromRow, W, H), cellToXY(c.toFile, c.toRow, W, H), THREAT_STYLE);
+
+    const ringR = Math.max(6, Math.min(12, Math.min(W / 30, H / 30)));
+    ctx.save();
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = THREAT_STYLE.color;
+    threat.threatened.forEach((coord) => {
+      const pos = cellToXY(fileToIndex(coord[0]), 9 - Number(coord[1]), W, H);
+      ctx.beginPath();
+      ctx.arc(pos.x, pos.y, ringR, 0, Math.PI * 2);
+      ctx.stroke();
+    });
+    ctx.restore();
+  }
+
+  // Orange squares around hanging pieces
+  function drawHangingCanvas(pieces, W, H) {
+    const size = Math.max(12, Math.min(24, Math.min(W / 15, H / 15)));
+    ctx.save();
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = HANGING_COLOR;
+    pieces.forEach((piece) => {
+      const pos = cellToXY(fileToIndex(piece.square[0]), 9 - Number(piece.square[1]), W, H);
+      ctx.setLineDash(piece.status === 'en prise' ? [] : [3, 3]);
+      ctx.strokeRect(pos.x - size / 2, pos.y - size / 2, size, size);
+    });
+    ctx.restore();
+  }
+
+  // Hanging pieces of both sides from the page engine (static exchange, no search)
+  function findHangingPieces() {
+    if (typeof window.engine.hangingPieces !== 'function') return [];
+
+    try {
+      return window.engine.hangingPieces();
+    } catch (_) {
+      return [];
+    }
+  }
+
+  // "Quân treo: Đỏ Xe e6 (+6.00), Đen Mã c7 (thiếu bảo vệ)"
+  function formatHanging(pieces) {
+    return 'Quân treo: ' + pieces.map((piece) => {
+      const color = (piece.piece === piece.piece.toUpperCase()) ? 'Đỏ' : 'Đen';
+      const name = PIECE_NAMES_VI[piece.piece.toUpperCase()];
+      const detail = (piece.status === 'en prise') ? formatTerm(piece.gain) : 'thiếu bảo vệ';
+      return color + ' ' + name + ' ' + piece.square + ' (' + detail + ')';
+    }).join(', ');
+  }
+
+  // Opponent's best move if the side to move passed, null in check or if nothing is at stake
+  function findThreat() {
+    return searcher.threat(COACH_THREAT_DEPTH).then((result) => {
+      if (!result) return null;
+      if (result.scoreType === 'mate') return (result.score > 0) ? result : null;
+      return (result.material >= REASON_MIN) ? result : null;
+    });
+  }
+
+  // "Đối phương dọa: e6 → e3 (+1.00)" / "(M2)"
+  function formatThreat(threat) {
+    const text = 'Đối phương dọa: ' + threat.bestmove.slice(0, 2) + ' → ' + threat.bestmove.slice(2, 4);
+    if (threat.scoreType === 'mate' && threat.score > 0) return text + '  (M' + threat.score + ')';
+    if (threat.material >= REASON_MIN) return text + '  (' + formatTerm(threat.material) + ')';
+    return text;
+  }
+
+  // ---- evaluation reasons ----
+  const PIECE_NAMES_VI = { R: 'Xe', N: 'Mã', C: 'Pháo', P: 'Tốt', A: 'Sĩ', B: 'Tượng', K: 'Tướng' };
+
+  // Number of reasons shown
+  const COACH_REASONS = 3;
+
+  // Engine units (pawn = 30): smaller differences are not worth a reason
+  const REASON_MIN = 5;
+  const BALANCED_SCORE = 10;
+
+  function formatTerm(value) {
+    return (value >= 0 ? '+' : '') + (value / 100).toFixed(2);
+  }
+
+  // "Đỏ tốt hơn +0.48 vì: hơn 1 Tốt +0.30, Tốt qua sông +0.12, Xe hoạt động +0.06"
+  function explainPosition() {
+    if (typeof window.engine.explainEvaluation !== 'function') return '';
+
+    const explanation = window.engine.explainEvaluation();
+    const score = explanation.score;
+    if (Math.abs(score) < BALANCED_SCORE) return 'Thế cân bằng';
+
+    const better = (score > 0) ? explanation.red : explanation.black;
+    const worse = (score > 0) ? explanation.black : explanation.red;
+    const none = { count: 0, material: 0, pst: 0, river: 0 };
+    const reasons = [];
+
+    for (const type in PIECE_NAMES_VI) {
+      const name = PIECE_NAMES_VI[type];
+      const mine = better.pieces[type] || none;
+      const theirs = worse.pieces[type] || none;
+
+      const material = mine.material - theirs.material;
+      const pst = mine.pst - theirs.pst;
+      const river = mine.river - theirs.river;
+
+      if (material >= REASON_MIN) reasons.push({ text: 'hơn ' + (mine.count - theirs.count) + ' ' + name, value: material });
+      if (pst >= REASON_MIN) reasons.push({ text: name + ' hoạt động', value: pst });
+      if (river >= REASON_MIN) reasons.push({ text: name + ' qua sông', value: river });
+    }
+
+    reasons.sort((a, b) => b.value - a.value);
+
+    const text = ((score > 0) ? 'Đỏ' : 'Đen') + ' tốt hơn ' + formatTerm(Math.abs(score));
+    if (!reasons.length) return text;
+
+    return text + ' vì: ' + reasons.slice(0, COACH_REASONS).map((reason) => {
+      return reason.text + ' ' + formatTerm(reason.value);
+    }).join(', ');
+  }
+
   // ---- coaching loop ----
   let enabled = true;
-  let busy = false;
-
-  let lastAnalyzeTs = 0;
   let pendingTimer = null;
 
-  let lastBestMoveUcci = '';
+  // Ranked candidates: [{ ucci, scoreType, score }], best first
+  let candidates = [];
   let lastPositionKey = '';
 
-  function render(bestmoveUcci) {
+  // Opponent's threat & hanging pieces in the current position
+  let threat = null;
+  let hanging = [];
+
+  // Eval from the side to move point of view, e.g. +0.35 / -M3
+  function formatEval(candidate) {
+    if (!candidate.scoreType) return '';
+    if (candidate.scoreType === 'mate') return (candidate.score > 0 ? 'M' : '-M') + Math.abs(candidate.score);
+    return (candidate.score >= 0 ? '+' : '') + (candidate.score / 100).toFixed(2);
+  }
+
+  function render(lines) {
+    lines = lines.filter(Boolean);
+
     // Update phase status FIRST (fast + no need to wait for RAF)
     const phase = getGamePhase();
     const ui = phaseUi(phase);
@@ -361,10 +482,18 @@
     elLegend.style.fontWeight = '800';
     elLegend.style.letterSpacing = '0.6px';
 
-    // Move label (minimal)
-    elMoveLabel.textContent = bestmoveUcci
-      ? bestmoveUcci.slice(0, 2) + ' → ' + bestmoveUcci.slice(2, 4)
-      : '…';
+    // Static evaluation reasons (cheap, no search needed)
+    if (elReasons) elReasons.textContent = explainPosition();
+
+    // Move label: one ranked candidate per line, the threat last
+    elMoveLabel.textContent = (lines.length
+      ? lines.map((line, index) => {
+          const text = (index + 1) + '. ' + line.ucci.slice(0, 2) + ' → ' + line.ucci.slice(2, 4);
+          const score = formatEval(line);
+          return score ? text + '  (' + score + ')' : text;
+        }).join('\n')
+      : '…') + (threat ? '\n' + formatThreat(threat) : '') +
+      (hanging.length ? '\n' + formatHanging(hanging) : '');
 
     // Draw minimap on next frame
     requestAnimationFrame(() => {
@@ -374,58 +503,63 @@
       ctx.clearRect(0, 0, W, H);
       drawGrid(W, H);
       drawPiecesCanvas(W, H);
-      drawHintCanvas(bestmoveUcci, W, H);
+      drawHangingCanvas(hanging, W, H);
+      drawThreatCanvas(threat, W, H);
+      // weaker candidates first so the best arrow stays on top
+      for (let rank = lines.length - 1; rank >= 0; rank--) drawHintCanvas(lines[rank].ucci, W, H, rank);
     });
   }
 
   function analyzeNow(reason) {
-    if (!enabled || busy) return;
+    if (!enabled) return;
 
     // Position-change guard
     const key = getPositionKey();
     if (key && key === lastPositionKey && reason !== 'force') {
-      render(lastBestMoveUcci || '');
+      render(candidates);
       return;
     }
 
-    const now = Date.now();
-    if (now - lastAnalyzeTs < MIN_INTERVAL_MS && reason !== 'force') {
-      render(lastBestMoveUcci || '');
-      return;
-    }
-
-    busy = true;
-    lastAnalyzeTs = now;
     lastPositionKey = key;
+    candidates = [];
+    threat = null;
+    hanging = findHangingPieces();
+
+    // Worker searches the threat first, then the candidates
+    searcher.position(getStartFen(), window.engine.getMoves());
+    findThreat().then((result) => {
+      if (!result || key !== lastPositionKey) return;
+      threat = result;
+      render(candidates);
+    });
 
-    const run = () => {
-      try {
-        const side = window.engine.getSide ? window.engine.getSide() : 0; // 0=RED, 1=BLACK
-
-        if (COACH_ONLY_WHEN_RED_TO_MOVE && window.engine.COLOR && side === window.engine.COLOR.BLACK) {
-          render('');
-          return;
-        }
-
-        const bestMove = pickBestMoveUltra();
-        const bestUcci = bestMove ? ucciFromMove(bestMove) : '';
-        lastBestMoveUcci = bestUcci;
+    const side = window.engine.getSide ? window.engine.getSide() : 0; // 0=RED, 1=BLACK
+    if (COACH_ONLY_WHEN_RED_TO_MOVE && window.engine.COLOR && side === window.engine.COLOR.BLACK) {
+      searcher.cancel();
+      render([]);
+      return;
+    }
 
-        render(bestUcci);
-      } catch (e) {
-        elMoveLabel.textContent = '…';
-      } finally {
-        busy = false;
-      }
-    };
+    render([]);
+    searchBestMove().then((bestUcci) => {
+      // cancelled by a newer position
+      if (!bestUcci || key !== lastPositionKey) return;
 
-    if (USE_IDLE_CALLBACK && typeof window.requestIdleCallback === 'function') {
-      window.requestIdleCallback(run, { timeout: IDLE_TIMEOUT_MS });
-    } else {
-      setTimeout(run, 0);
-    }
+      // book move or interrupted search: show the best move alone
+      if (!candidates.length || candidates[0].ucci !== bestUcci) candidates = [{ ucci: bestUcci }];
+      render(candidates);
+    }).catch(() => {
+      elMoveLabel.textContent = '…';
+    });
   }
 
+  // Show the current best lines while the worker keeps searching
+  searcher.onInfo((info) => {
+    if (!info.pv || !info.pv.length) return;
+    candidates[info.multipv - 1] = { ucci: info.pv[0], scoreType: info.scoreType, score: info.score };
+    render(candidates);
+  });
+
   function scheduleAnalyze(reason) {
     if (pendingTimer) {
       clearTimeout(pendingTimer);
@@ -462,13 +596,35 @@
     };
   }
 
+  // Same evaluation weights as the bot
+  const originalApplyWeights = window.applyWeights;
+  if (typeof originalApplyWeights === 'function') {
+    window.applyWeights = function (params) {
+      const r = originalApplyWeights.apply(this, arguments);
+      searcher.setOption('EvalParams', params);
+      scheduleAnalyze('force');
+      return r;
+    };
+  }
+
+  // Same repetition rules as the bot
+  const originalSetRuleset = window.setRuleset;
+  if (typeof originalSetRuleset === 'function') {
+    window.setRuleset = function (ruleset) {
+      const r = originalSetRuleset.apply(this, arguments);
+      searcher.setOption('Ruleset', ruleset);
+      scheduleAnalyze('force');
+      return r;
+    };
+  }
+
   // Initial paint + kickstart
   resizeCanvas();
-  render('');
+  render([]);
   scheduleAnalyze('init');
 
   window.addEventListener('resize', () => {
     resizeCanvas();
-    render(lastBestMoveUcci || '');
+    render(candidates);
   });
 })();
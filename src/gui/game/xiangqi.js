@@ -9,6 +9,12 @@
 // init engine
 var engine = new Engine();
 
+// init background search (keeps the board responsive while thinking)
+var searcher = new EngineWorker();
+
+// ends games by the bot's scores or known drawn endgames
+var adjudicator = new Adjudicator();
+
 // run in browser mode  
 console.log('\n  Wukong JS - BROWSER MODE - v' + engine.VERSION);
 console.log('  type "engine" for public API reference');
@@ -26,6 +32,17 @@ console.log('  type "engine" for public API reference');
 var book = [];
 var botName = ''
 
+// bot strength (engine UCI_Elo) for bots defined without "elo", weakest first
+const BOT_ELO = {
+  Baihua: 800,
+  CMK: 1100,
+  HGM: 1400,
+  Haucheng: 1700,
+  Wukong: 2000,
+  Huronghua: 2200,
+  Liudahua: 2400
+};
+
 
 /****************************\
  ============================
@@ -106,17 +123,16 @@ function drawBoard() {
 function highlightMoves(square) {  
   if (document.getElementById('showMoves').checked == false) return;
   
-  let legalMoves = engine.generateLegalMoves();
+  let legalMoves = engine.legalMovesDetailed();
   
   for (let count = 0; count < legalMoves.length; count++) {
-    let move = legalMoves[count].move;
-    let sourceSquare = engine.getSourceSquare(move);
-    let targetSquare = engine.getTargetSquare(move);
-    if (square == sourceSquare) {
-      let parent = document.getElementById(targetSquare);
+    let move = legalMoves[count];
+    
+    if (square == move.source) {
+      let parent = document.getElementById(move.target);
       parent.style.backgroundImage = 'url("game/images/misc/legal_move.png")';
       parent.style.opacity = '0.50';
-      if (parent.childNodes.length) {
+      if (move.capture) {
         parent.childNodes[0].style.opacity = '0.5';
         parent.style.opacity = '1';
         parent.style.backgroundImage = 'url("game/images/misc/legal_capture.png")';
@@ -132,6 +148,7 @@ function setBot(bot) {
   fixedTime = bots[bot].time;
   fixedDepth = bots[bot].depth;
   book = JSON.parse(JSON.stringify(bots[bot].book));
+  searcher.setOption('UCI_Elo', (bots[bot].elo != undefined) ? bots[bot].elo : (BOT_ELO[bot] || 2400));
   document.getElementById('pgn').value = bots[bot].description;
 }
 
@@ -147,6 +164,42 @@ function setPieceTheme(theme) {
   drawBoard();
 }
 
+// set repetition rules (asian / chinese)
+function setRuleset(ruleset) {
+  engine.setRuleset(ruleset);
+  searcher.setOption('Ruleset', ruleset);
+}
+
+// set move notation of the move list & PGN download
+function setNotation(notation) {
+  guiNotation = notation;
+  updatePgn();
+}
+
+// use evaluation weights for the board engine and the bot
+function applyWeights(params) {
+  engine.setEvalParams(params);
+  searcher.setOption('EvalParams', params);
+}
+
+// load evaluation weights file (JSON written by tuner/texel.js)
+function loadWeights(file) {
+  if (file == undefined) return;
+  
+  let reader = new FileReader();
+  
+  reader.onload = function() {
+    try {
+      applyWeights(JSON.parse(reader.result));
+      document.getElementById('pgn').value = 'Evaluation weights loaded from ' + file.name;
+    } catch(e) {
+      document.getElementById('pgn').value = e.message;
+    }
+  }
+  
+  reader.readAsText(file);
+}
+
 // play sound
 function playSound(move) {
   if (engine.getCaptureFlag(move)) CAPTURE_SOUND.play();
@@ -170,6 +223,9 @@ var guiPv = '';
 var guiSide = 0;
 var userTime = 0;
 var gameResult = '*';
+var gameReason = '';
+var gameAdjudication = null;
+var botScore = null;
 var guiFen = '';
 
 // difficulty
@@ -181,9 +237,6 @@ var clickLock = 0;
 var allowBook = 1;
 var userSource, userTarget;
 
-// 3 fold repetitions
-var repetitions = 0;
-
 // pick piece handler
 function dragPiece(event, square) {
   userSource = square;
@@ -291,23 +344,46 @@ function getBookMove() {
 
 // check for game state
 function isGameOver() {
-  if (engine.isRepetition()) repetitions++;
-  if (repetitions >= 3) {
-    gameResult = '3 fold repetition ' + (engine.getSide() ? 'black' : 'red') + ' lost';
-    return 1;
-  } else if (engine.generateLegalMoves().length == 0) {
-    gameResult = (engine.getSide() ? '1-0' : '0-1') + ' mate';
-    return 1;
-  } else if (engine.getSixty() >= 120) {
-    gameResult = '1/2-1/2 Draw by 60 rule move';
-    return 1;
-  } // TODO: material draw?
+  if (gameAdjudication) return 1;
+  
+  let status = engine.getGameStatus();
+  
+  if (status.result == '*' && adjudicator.isKnownDraw(engine.generateFen()))
+    status = { result: '1/2-1/2', reason: 'known draw' };
+  
+  gameResult = status.result;
+  gameReason = status.reason;
+  return (status.result == '*') ? 0 : 1;
+}
+
+// end game by adjudication, 'resignation' or 'draw agreed'
+function adjudicate(adjudication) {
+  gameAdjudication = adjudication;
+  gameResult = adjudication.result;
+  gameReason = (adjudication.reason == 'resignation') ? (botName + ' resigns') : 'Draw agreed';
+  updatePgn();
+}
 
-  if (engine.generateLegalMoves().length == 0) {
-    gameResult = (engine.getSide() ? '1-0' : '0-1') + ' mate';
+// bot's score decides whether it resigns or offers a draw, returns 1 if the game ended
+function adjudicateScore() {
+  if (botScore == null) return 0;
+  
+  adjudicator.addScore(engine.getSide(), botScore.type, botScore.value);
+  let adjudication = adjudicator.check(null, engine.getMoves().length);
+  if (adjudication == null) return 0;
+  
+  if (adjudication.reason == 'resignation') {
+    adjudicate(adjudication);
     return 1;
   }
   
+  if (confirm(botName + ' offers a draw, accept?')) {
+    adjudicate(adjudication);
+    return 1;
+  }
+  
+  // declined, offer again after some more moves
+  adjudicator.reset();
   return 0;
 }
 
@@ -316,33 +392,55 @@ function think() {
   if (isGameOver()) {updatePgn(); return;}
   
   if (document.getElementById('editMode').checked == true) return;
-  engine.resetTimeControl();
-
-  let timing = engine.getTimeControl();
-  let startTime = new Date().getTime();
-  
-  if (fixedTime) {
-    fixedDepth = 64;
-    timing.timeSet = 1;
-    timing.time = fixedTime * 1000;
-    timing.stopTime = startTime + timing.time
-    engine.setTimeControl(timing);
-  }
+  if (fixedTime) fixedDepth = 64;
   
-  let bookMoveFlag = 0;
-  let delayMove = 0;
   let bestMove = getBookMove();
+  if (bestMove == 0) { searchMove(); return; }
+  
+  playMove(bestMove, 1);
+}
 
-  if (botName == 'Baihua') {
-    let moves = engine.generateLegalMoves();
-    try { bestMove = moves[Math.floor(Math.random() * moves.length)].move;
-    } catch(e) {}
-  } else {
-    if (bestMove) bookMoveFlag = 1;
-    else if (bestMove == 0) bestMove = engine.search(fixedDepth);
-  }
+// search engine move in background
+function searchMove() {
+  let position = engine.getMoves().join(' ');
+  let limits = fixedTime ? { movetime: fixedTime * 1000 } : { depth: fixedDepth };
+  
+  botScore = null;
+  searcher.position(guiFen || engine.START_FEN, position);
+  searcher.go(limits).then(function(bestMove) {
+    // search was cancelled or position has changed meanwhile
+    if (bestMove == '' || engine.getMoves().join(' ') != position) return;
+    if (adjudicateScore()) return;
+    playMove(engine.moveFromString(bestMove), 0);
+  });
+}
+
+// stop engine from moving
+function cancelThinking() {
+  searcher.cancel();
+}
+
+// update stats from search info
+function updateStats(info) {
+  // weaker bots search extra candidate lines
+  if (info.multipv > 1) return;
+  
+  botScore = { type: info.scoreType, value: info.score };
+  if (info.scoreType == 'mate') guiScore = 'M' + Math.abs(info.score);
+  else guiScore = -info.score;
   
+  guiDepth = info.depth;
+  guiTime = info.time;
+  guiPv = info.pv.join(' ') + ' ';
+}
+
+searcher.onInfo(updateStats);
+
+// make engine move on board
+function playMove(bestMove, bookMoveFlag) {
   if (bestMove == 0) return;
+  
+  let delayMove = 0;
   if (bookMoveFlag || fixedDepth || typeof(guiScore) == 'string') delayMove = 1000;
   
   let sourceSquare = engine.getSourceSquare(bestMove);
@@ -362,19 +460,36 @@ function think() {
   }, delayMove);
 }
 
+// attach thinking time (user move) or search stats (bot move) to the move just played
+function storeMoveStats() {
+  let moveStack = engine.moveStack();
+  let lastMove = moveStack[moveStack.length - 1];
+  let userMove = userTime != 0;
+
+  lastMove.score = userMove ? 0 : guiScore;
+  lastMove.depth = userMove ? 0 : guiDepth;
+  lastMove.time = userMove ? Date.now() - userTime : guiTime;
+  lastMove.pv = userMove ? '' : guiPv;
+}
+
 // move piece in GUI
 function movePiece(userSource, userTarget) {
   let moveString = engine.squareToString(userSource) +
                    engine.squareToString(userTarget);
+  let plies = engine.moveStack().length;
 
   if (isGameOver() == 0) engine.loadMoves(moveString);
   else updatePgn();
+  if (engine.moveStack().length > plies) storeMoveStats();
   drawBoard();
 }
 
 // take move back
 function undo() {
+  cancelThinking();
   gameResult = '*';
+  gameAdjudication = null;
+  adjudicator.reset();
   try {
     engine.takeBack();
     drawBoard();
@@ -399,18 +514,27 @@ function validateMove(userSource, userTarget) {
  ============================              
 \****************************/
 
+// move notation: 'uci', 'iccs', 'wxf', 'fullwidth', 'simplified' or 'traditional'
+var guiNotation = 'uci';
+
+// PGN format tag of the notations
+const PGN_FORMATS = {
+  iccs: 'ICCS', wxf: 'WXF', fullwidth: 'WXF',
+  simplified: 'Chinese', traditional: 'Chinese'
+};
+
 // get pgn
 function getGamePgn() {
   let moveStack = engine.moveStack();
+  let notation = engine.gameNotation(guiNotation);
   let pgn = '';
 
   for (let index = 0; index < moveStack.length; index++) {
-    let move = moveStack[index].move;
     let moveScore = moveStack[index].score;
     let moveDepth = moveStack[index].depth;
     let moveTime = moveStack[index].time;
     let movePv = moveStack[index].pv;
-    let moveString = engine.moveToString(move);
+    let moveString = notation[index];
     let moveNumber = ((index % 2) ? '': ((index / 2 + 1) + '. '));
     let displayScore = (((moveScore / 100) == 0) ? '-0.00' : (moveScore / 100)) + '/' + moveDepth + ' ';
     
@@ -437,15 +561,18 @@ function updatePgn() {
   
   gameMoves.value = pgn;
   
-  if (gameResult == '1-0 Mate' || gameResult == '0-1 Mate') {
-    gameMoves.value += '# ' + gameResult;
-  } else if (gameResult != '*') {
-    gameMoves.value += ' ' + gameResult;
-  }
+  if (gameResult != '*')
+    gameMoves.value += ((gameReason == 'mate') ? '# ' : ' ') + gameResult + ' {' + gameReason + '}';
   
   gameMoves.scrollTop = gameMoves.scrollHeight;
 }
 
+// PGN termination tag
+function getTermination() {
+  if (gameResult == '*') return 'unterminated';
+  return (gameAdjudication || gameReason == 'known draw') ? 'adjudication' : 'normal';
+}
+
 // download PGN
 function downloadPgn() {
   let userName = prompt('Enter your name:', 'Player');
@@ -465,13 +592,15 @@ function downloadPgn() {
   header += '[White "' + ((userColor == 'White') ? userName : botName) + '"]\n';
   header += '[Black "' + ((userColor == 'Black') ? userName : botName) + '"]\n';
   header += '[Variant "xiangqi"]\n';
-  header += '[Result "' + gameResult + '"]\n\n';
+  if (PGN_FORMATS[guiNotation]) header += '[Format "' + PGN_FORMATS[guiNotation] + '"]\n';
+  header += '[Result "' + gameResult + '"]\n';
+  header += '[Termination "' + getTermination() + '"]\n\n';
 
   let downloadLink = document.createElement('a');
   downloadLink.id = 'download';
   downloadLink.download = ((userColor == 'White') ? (userName + '_vs_' + botName + '.pgn') : (botName + '_vs_' + userName + '.pgn'));
   downloadLink.hidden = true;
-  downloadLink.href = window.URL.createObjectURL( new Blob([header + getGamePgn() + ((gameResult == '*') ? ' *' : '')], {type: 'text'}));
+  downloadLink.href = window.URL.createObjectURL( new Blob([header + getGamePgn().trim() + ' ' + gameResult + '\n'], {type: 'text'}));
   document.body.appendChild(downloadLink);
   downloadLink.click();
   downloadLink.remove();
@@ -488,17 +617,21 @@ function downloadPgn() {
 
 // start new game
 function newGame() {
+  cancelThinking();
   guiScore = 0;
   guiDepth = 0;
   guiTime = 0;
   guiPv = '';
-  gameResult = '';
+  gameResult = '*';
+  gameReason = '';
+  gameAdjudication = null;
+  botScore = null;
+  adjudicator.reset();
   userTime = 0;
   allowBook = 1;
   engine.setBoard(engine.START_FEN);
   drawBoard();
   document.getElementById('pgn').value = '';
-  repetitions = 0;
 }
 
 /****************************\
@@ -0,0 +1,499 @@
+/****************************\
+ ============================
+         TEXEL TUNER
+ ============================
+\****************************/
+
+/*
+    Fits the evaluation parameters (material and piece
+    square tables) to the outcomes of master games:
+
+      node texel.js --pgn ../xqdb/games_pgn/bulk_games_uci.pgn \
+                    --output weights.json
+
+    The evaluation is linear in its parameters, so every
+    quiet position is stored once as piece counts per
+    parameter and the mean squared error of
+    sigmoid(eval) against the game result is minimized
+    by gradient descent.
+
+    See README.md for all options.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { Engine } = require('../src/engine/wukong.js');
+
+// default settings
+const DEFAULTS = {
+  pgn: [],
+  weights: path.join(__dirname, '..', 'src', 'engine', 'weights.json'),
+  output: 'weights.json',
+  games: 0,
+  skip: 16,
+  depth: 4,
+  margin: 150,
+  drawmargin: 30,
+  k: 0,
+  epochs: 300,
+  rate: 1
+};
+
+// games used if no --pgn is given
+const DEFAULT_PGN = path.join(__dirname, '..', 'xqdb', 'games_pgn', 'bulk_games_uci.pgn');
+
+// options that may be given more than once
+const LIST_ARGS = ['pgn'];
+
+// piece types in weights files, kings keep their material
+const PIECE_TYPES = ['P', 'A', 'B', 'N', 'C', 'R', 'K'];
+const MATERIAL_TYPES = ['P', 'A', 'B', 'N', 'C', 'R'];
+
+// PGN results from red's point of view
+const RESULTS = { '1-0': 1, '0-1': 0, '1/2-1/2': 0.5 };
+
+
+/****************************\
+ ============================
+
+          SETTINGS
+
+ ============================
+\****************************/
+
+// parse "--name value" arguments
+function parseArgs(argv) {
+  let settings = JSON.parse(JSON.stringify(DEFAULTS));
+
+  for (let index = 0; index < argv.length; index++) {
+    let name = argv[index].replace(/^--/, '');
+
+    if (name == 'help' || DEFAULTS[name] == undefined) {
+      if (name != 'help') console.log('Unknown argument: ' + argv[index]);
+      console.log('Usage: node texel.js [--pgn FILE]... [--weights FILE] [--output FILE] ...');
+      console.log('See tuner/README.md for all options.');
+      process.exit(name == 'help' ? 0 : 1);
+    }
+
+    let value = argv[++index];
+    if (LIST_ARGS.includes(name)) settings[name].push(value);
+    else settings[name] = (typeof DEFAULTS[name] == 'number') ? parseFloat(value) : value;
+  }
+
+  if (settings.pgn.length == 0) settings.pgn.push(DEFAULT_PGN);
+  return settings;
+}
+
+
+/****************************\
+ ============================
+
+            GAMES
+
+ ============================
+\****************************/
+
+// parse PGN file with UCI moves into [{ tags, moves }]
+function loadGames(file) {
+  let games = [];
+  let game = null;
+  let lines = fs.readFileSync(file).toString().split('\n');
+
+  for (let index = 0; index < lines.length; index++) {
+    let line = lines[index].trim();
+    let tag = line.match(/^\[(\w+)\s+"(.*)"\]$/);
+
+    if (tag) {
+      // tags after moves start the next game
+      if (game == null || game.moves.length) {
+        game = { tags: {}, moves: [] };
+        games.push(game);
+      }
+
+      game.tags[tag[1]] = tag[2];
+      continue;
+    }
+
+    if (game == null) continue;
+
+    let tokens = line.split(/\s+/);
+
+    for (let count = 0; count < tokens.length; count++) {
+      if (/^[a-i][0-9][a-i][0-9]$/.test(tokens[count])) game.moves.push(tokens[count]);
+      else if (RESULTS[tokens[count]] != undefined && game.tags.Result == undefined) game.tags.Result = tokens[count];
+    }
+  }
+
+  return games;
+}
+
+// play legal move, returns 0 for illegal moves
+function playMove(engine, moveString) {
+  let move = engine.moveFromString(moveString);
+  let legalMoves = engine.generateLegalMoves();
+
+  if (legalMoves.every(function(legalMove) { return legalMove.move != move; })) return 0;
+
+  engine.loadMoves(moveString);
+  return 1;
+}
+
+/*
+    Most master games end by resignation or agreement
+    and the databases have no Result tags, so without
+    one the result is judged from the final position:
+    mate ends the game, a search score of "margin" or
+    more wins, "drawmargin" or less is a draw and games
+    in between are left out.
+*/
+
+// game result from red's point of view, null if unclear
+function deriveResult(engine, settings, tags) {
+  if (RESULTS[tags.Result] != undefined) return RESULTS[tags.Result];
+
+  let status = engine.getGameStatus();
+
+  if (status.result != '*') return RESULTS[status.result];
+
+  engine.resetTimeControl();
+  let search = engine.searchRootMoves(settings.depth);
+  let score = search.score;
+
+  if (search.scoreType == 'mate') score = (score > 0) ? Infinity : -Infinity;
+  if (engine.getSide() == engine.COLOR.BLACK) score = -score;
+
+  if (score >= settings.margin) return 1;
+  if (score <= -settings.margin) return 0;
+  if (Math.abs(score) <= settings.drawmargin) return 0.5;
+  return null;
+}
+
+
+/****************************\
+ ============================
+
+          FEATURES
+
+ ============================
+\****************************/
+
+/*
+    Parameter vector: material of P A B N C R, then
+    50 squares (rank 9 first, files a to e) of every
+    piece square table in the start weights. Files
+    f to i share the parameter of their mirror square
+    (file a = file i), so tables stay symmetric like
+    the board. A position is stored as the red minus
+    black count of every parameter, so
+    eval(red) = sum(parameter * count).
+*/
+
+// parameter index of a square within its table
+function squareIndex(rank, file) {
+  return rank * 5 + Math.min(file, 8 - file);
+}
+
+// parameter layout for given weights
+function createLayout(params) {
+  let layout = { size: 0, material: {}, pst: {} };
+
+  for (let index = 0; index < MATERIAL_TYPES.length; index++)
+    layout.material[MATERIAL_TYPES[index]] = layout.size++;
+
+  for (let type in params.pst) {
+    layout.pst[type] = layout.size;
+    layout.size += 50;
+  }
+
+  return layout;
+}
+
+// weights file to parameter vector, mirror squares averaged
+function paramsToVector(params, layout) {
+  let vector = new Float64Array(layout.size);
+
+  for (let type in layout.material) vector[layout.material[type]] = params.material[type];
+
+  for (let type in layout.pst)
+    for (let rank = 0; rank < 10; rank++)
+      for (let file = 0; file < 5; file++)
+        vector[layout.pst[type] + squareIndex(rank, file)] =
+          (params.pst[type][rank][file] + params.pst[type][rank][8 - file]) / 2;
+
+  return vector;
+}
+
+// parameter vector to weights file, kings keep their material
+function vectorToParams(vector, layout, start) {
+  let params = { material: { K: start.material.K }, pst: {} };
+
+  for (let type in layout.material) params.material[type] = Math.round(vector[layout.material[type]]);
+
+  for (let type in layout.pst) {
+    params.pst[type] = [];
+
+    for (let rank = 0; rank < 10; rank++) {
+      params.pst[type].push([]);
+
+      for (let file = 0; file < 9; file++)
+        params.pst[type][rank].push(Math.round(vector[layout.pst[type] + squareIndex(rank, file)]));
+    }
+  }
+
+  return params;
+}
+
+// parameter counts of current position as { index: count }
+function extractFeatures(engine, layout) {
+  let features = {};
+
+  for (let square = 0; square < 11 * 14; square++) {
+    let coordinate = engine.squareToString(square);
+    let piece = engine.getPiece(square);
+    if (coordinate == 'xx' || piece == 0) continue;
+
+    let red = (piece <= 7) ? 1 : 0;
+    let type = PIECE_TYPES[(piece - 1) % 7];
+    let sign = red ? 1 : -1;
+    let file = coordinate.charCodeAt(0) - 'a'.charCodeAt(0);
+    let rank = parseInt(coordinate[1]);
+
+    // black uses red's table upside down
+    let row = red ? 9 - rank : rank;
+
+    if (layout.material[type] != undefined) {
+      let index = layout.material[type];
+      features[index] = (features[index] || 0) + sign;
+    }
+
+    if (layout.pst[type] != undefined) {
+      let index = layout.pst[type] + squareIndex(row, file);
+      features[index] = (features[index] || 0) + sign;
+    }
+  }
+
+  return features;
+}
+
+// quiet positions of all games as { results, offsets, indices, counts }
+function collectPositions(settings, layout) {
+  let engine = new Engine();
+  let data = { results: [], offsets: [0], indices: [], counts: [] };
+  let used = 0, skipped = 0;
+
+  for (let fileIndex = 0; fileIndex < settings.pgn.length; fileIndex++) {
+    let games = loadGames(settings.pgn[fileIndex]);
+
+    for (let index = 0; index < games.length; index++) {
+      if (settings.games && used >= settings.games) break;
+
+      let game = games[index];
+      let positions = [];
+
+      engine.setBoard(game.tags.FEN || engine.START_FEN);
+
+      for (let ply = 0; ply < game.moves.length; ply++) {
+        if (playMove(engine, game.moves[ply]) == 0) break;
+        if (ply + 1 < settings.skip || engine.inCheck(engine.getSide())) continue;
+
+        // positions with captures pending do not match their static eval
+        engine.resetTimeControl();
+        if (engine.quiescence() != engine.evaluate()) continue;
+
+        positions.push(extractFeatures(engine, layout));
+      }
+
+      let result = deriveResult(engine, settings, game.tags);
+
+      if (result == null) {
+        skipped++;
+        continue;
+      }
+
+      for (let count = 0; count < positions.length; count++) {
+        for (let feature in positions[count]) {
+          if (positions[count][feature] == 0) continue;
+          data.indices.push(parseInt(feature));
+          data.counts.push(positions[count][feature]);
+        }
+
+        data.results.push(result);
+        data.offsets.push(data.indices.length);
+      }
+
+      used++;
+    }
+  }
+
+  console.log('Games: ' + used + ' used, ' + skipped + ' without a clear result');
+  console.log('Positions: ' + data.results.length);
+
+  return {
+    results: Float64Array.from(data.results),
+    offsets: Int32Array.from(data.offsets),
+    indices: Int32Array.from(data.indices),
+    counts: Int8Array.from(data.counts)
+  };
+}
+
+
+/****************************\
+ ============================
+
+           TUNING
+
+ ============================
+\****************************/
+
+// expected score of red for an eval
+function sigmoid(score, k) {
+  return 1 / (1 + Math.pow(10, -k * score / 400));
+}
+
+// linear eval of every position
+function evaluateAll(data, vector) {
+  let scores = new Float64Array(data.results.length);
+
+  for (let position = 0; position < scores.length; position++) {
+    let score = 0;
+
+    for (let index = data.offsets[position]; index < data.offsets[position + 1]; index++)
+      score += vector[data.indices[index]] * data.counts[index];
+
+    scores[position] = score;
+  }
+
+  return scores;
+}
+
+// mean squared error of predicted against real results
+function meanError(data, scores, k) {
+  let error = 0;
+
+  for (let position = 0; position < scores.length; position++)
+    error += Math.pow(data.results[position] - sigmoid(scores[position], k), 2);
+
+  return error / scores.length;
+}
+
+// sigmoid scale best fitting the start weights
+function fitK(data, scores) {
+  let best = 1;
+  let bestError = meanError(data, scores, best);
+
+  for (let step = 1; step >= 0.001; step /= 10) {
+    let improved = 1;
+
+    while (improved) {
+      improved = 0;
+
+      for (let k of [best - step, best + step]) {
+        if (k <= 0) continue;
+
+        let error = meanError(data, scores, k);
+
+        if (error < bestError) {
+          best = k;
+          bestError = error;
+          improved = 1;
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+// gradient descent with Adam steps, returns tuned vector
+function tune(data, vector, k, settings) {
+  let size = vector.length;
+  let moment = new Float64Array(size);
+  let velocity = new Float64Array(size);
+  let beta1 = 0.9, beta2 = 0.999;
+
+  for (let epoch = 1; epoch <= settings.epochs; epoch++) {
+    let scores = evaluateAll(data, vector);
+    let gradient = new Float64Array(size);
+
+    for (let position = 0; position < scores.length; position++) {
+      let predicted = sigmoid(scores[position], k);
+      let slope = (predicted - data.results[position]) * predicted * (1 - predicted);
+
+      for (let index = data.offsets[position]; index < data.offsets[position + 1]; index++)
+        gradient[data.indices[index]] += slope * data.counts[index];
+    }
+
+    for (let index = 0; index < size; index++) {
+      let step = gradient[index] / scores.length;
+      moment[index] = beta1 * moment[index] + (1 - beta1) * step;
+      velocity[index] = beta2 * velocity[index] + (1 - beta2) * step * step;
+
+      let correctedMoment = moment[index] / (1 - Math.pow(beta1, epoch));
+      let correctedVelocity = velocity[index] / (1 - Math.pow(beta2, epoch));
+      vector[index] -= settings.rate * correctedMoment / (Math.sqrt(correctedVelocity) + 1e-8);
+    }
+
+    if (epoch % 50 == 0 || epoch == settings.epochs)
+      console.log('Epoch ' + epoch + ': error ' + meanError(data, evaluateAll(data, vector), k).toFixed(6));
+  }
+
+  return vector;
+}
+
+// weights file with one rank per line
+function formatWeights(params) {
+  let material = PIECE_TYPES.map(function(type) { return '"' + type + '": ' + params.material[type]; });
+  let tables = [];
+
+  for (let type in params.pst) {
+    let ranks = params.pst[type].map(function(rank) {
+      return '      [' + rank.map(function(value) { return String(value).padStart(4); }).join(',') + ']';
+    });
+
+    tables.push('    "' + type + '": [\n' + ranks.join(',\n') + '\n    ]');
+  }
+
+  return '{\n' +
+         '  "material": { ' + material.join(', ') + ' },\n' +
+         '  "pst": {\n' + tables.join(',\n') + '\n  }\n' +
+         '}\n';
+}
+
+
+/****************************\
+ ============================
+
+            MAIN
+
+ ============================
+\****************************/
+
+function main() {
+  let settings = parseArgs(process.argv.slice(2));
+  let start = JSON.parse(fs.readFileSync(settings.weights).toString());
+
+  // fails on broken weights files
+  new Engine().setEvalParams(start);
+
+  let layout = createLayout(start);
+  let vector = paramsToVector(start, layout);
+  let data = collectPositions(settings, layout);
+
+  if (data.results.length == 0) {
+    console.log('No positions to tune on');
+    process.exit(1);
+  }
+
+  let scores = evaluateAll(data, vector);
+  let k = settings.k || fitK(data, scores);
+
+  console.log('K: ' + k.toFixed(3) + ', start error ' + meanError(data, scores, k).toFixed(6));
+
+  let params = vectorToParams(tune(data, vector, k, settings), layout, start);
+  fs.writeFileSync(settings.output, formatWeights(params));
+
+  console.log('Final error ' + meanError(data, evaluateAll(data, paramsToVector(params, layout)), k).toFixed(6));
+  console.log('Weights saved to ' + settings.output);
+}
+
+main();